@@ -0,0 +1,46 @@
+// Account menu in the nav: workspace switcher, the signed-in user and sign out.
+// Renders into <div id="account"> once api.getMe() answers; the page's own
+// requests already use the current workspace, so switching reloads the page.
+async function renderAccountMenu() {
+  const container = document.getElementById('account');
+  if (!container) return;
+
+  const me = await api.getMe();
+  if (!me.user) return;
+  window.currentUser = me.user;
+  window.currentWorkspace = me.workspace;
+
+  container.innerHTML = '';
+
+  const select = document.createElement('select');
+  select.title = 'Workspace';
+  for (const workspace of me.workspaces) {
+    const option = document.createElement('option');
+    option.value = workspace.id;
+    option.textContent = workspace.kind === 'team' ? `${workspace.name} (team)` : workspace.name;
+    option.selected = workspace.id === me.workspace.id;
+    select.appendChild(option);
+  }
+  select.onchange = async () => {
+    await api.switchWorkspace(select.value);
+    location.reload();
+  };
+  container.appendChild(select);
+
+  const user = document.createElement('a');
+  user.href = 'account.html';
+  user.textContent = me.user.username;
+  user.title = 'Workspaces and API tokens';
+  container.appendChild(user);
+
+  const signOut = document.createElement('button');
+  signOut.type = 'button';
+  signOut.textContent = 'Sign out';
+  signOut.onclick = async () => {
+    await api.logout();
+    location.href = 'login.html';
+  };
+  container.appendChild(signOut);
+}
+
+renderAccountMenu().catch(error => console.error('Failed to load account:', error));
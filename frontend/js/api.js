@@ -1,59 +1,369 @@
-const API_BASE = 'http://localhost:3000/api';
+// Served by the API server, so same-origin; opened from disk, it talks to the default port
+const API_BASE = location.protocol === 'file:' ? 'http://localhost:3000/api' : '/api';
+
+// fetch with the sign-in cookie; an expired or missing sign-in goes to the sign-in page
+async function apiFetch(url, options = {}) {
+  const res = await fetch(url, { credentials: 'include', ...options });
+  if (res.status === 401 && !location.pathname.endsWith('/login.html')) {
+    location.href = `login.html?next=${encodeURIComponent(location.pathname.split('/').pop() + location.search)}`;
+  }
+  return res;
+}
+
+// An error response from the API: { error, code, fields? } (fields maps each invalid field to its problem)
+class ApiError extends Error {
+  constructor(status, body) {
+    super(body?.error || `Request failed (${status})`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body?.code || 'unknown_error';
+    this.fields = body?.fields || {};
+    this.body = body;
+  }
+}
+
+// Parsed JSON of a successful response; anything else throws an ApiError
+async function request(url, options) {
+  const res = await apiFetch(url, options);
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError(res.status, body);
+  return body;
+}
 
 const api = {
   async getSessions(params = {}) {
     const query = new URLSearchParams(params).toString();
-    const res = await fetch(`${API_BASE}/sessions?${query}`);
-    return res.json();
+    return request(`${API_BASE}/sessions?${query}`);
+  },
+
+  // params.run picks an earlier run's responses (default: the latest run)
+  async getSession(id, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return request(`${API_BASE}/sessions/${id}?${query}`);
+  },
+
+  // Link to a meeting export; format is md, html (print to PDF) or json
+  exportSessionUrl(sessionId, format, params = {}) {
+    const query = new URLSearchParams({ format, ...params }).toString();
+    return `${API_BASE}/sessions/${sessionId}/export?${query}`;
   },
 
-  async getSession(id) {
-    const res = await fetch(`${API_BASE}/sessions/${id}`);
-    return res.json();
+  async getMemoRevisions(sessionId) {
+    return request(`${API_BASE}/sessions/${sessionId}/revisions`);
+  },
+
+  async forkSession(sessionId) {
+    return request(`${API_BASE}/sessions/${sessionId}/fork`, { method: 'POST' });
   },
 
   async createSession(category) {
-    const res = await fetch(`${API_BASE}/sessions`, {
+    return request(`${API_BASE}/sessions`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ category })
     });
-    return res.json();
   },
 
   async saveMemo(sessionId, memo) {
-    const res = await fetch(`${API_BASE}/sessions/${sessionId}/memo`, {
+    return request(`${API_BASE}/sessions/${sessionId}/memo`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(memo)
     });
-    return res.json();
   },
 
-  async runBoardMeeting(sessionId) {
-    const res = await fetch(`${API_BASE}/sessions/${sessionId}/run`, {
-      method: 'POST'
+  // Upload files to the session's memo (save the memo first)
+  async uploadAttachments(sessionId, files) {
+    const form = new FormData();
+    for (const file of files) form.append('files', file);
+    return request(`${API_BASE}/sessions/${sessionId}/attachments`, {
+      method: 'POST',
+      body: form
+    });
+  },
+
+  attachmentUrl(sessionId, attachmentId) {
+    return `${API_BASE}/sessions/${sessionId}/attachments/${attachmentId}`;
+  },
+
+  async deleteAttachment(sessionId, attachmentId) {
+    return request(`${API_BASE}/sessions/${sessionId}/attachments/${attachmentId}`, { method: 'DELETE' });
+  },
+
+  async runBoardMeeting(sessionId, options = {}) {
+    return request(`${API_BASE}/sessions/${sessionId}/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options)
+    });
+  },
+
+  async resumeBoardMeeting(sessionId, options = {}) {
+    return request(`${API_BASE}/sessions/${sessionId}/resume`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options)
+    });
+  },
+
+  // Follow a running board meeting; returns an EventSource (reconnects and resumes on its own)
+  streamMeeting(sessionId) {
+    return new EventSource(`${API_BASE}/sessions/${sessionId}/events`, { withCredentials: true });
+  },
+
+  async getActions(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return request(`${API_BASE}/actions?${query}`);
+  },
+
+  async createAction(action) {
+    return request(`${API_BASE}/actions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(action)
     });
-    return res.json();
+  },
+
+  async updateAction(id, fields) {
+    return request(`${API_BASE}/actions/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields)
+    });
+  },
+
+  async deleteAction(id) {
+    return request(`${API_BASE}/actions/${id}`, { method: 'DELETE' });
+  },
+
+  async search(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return request(`${API_BASE}/search?${query}`);
+  },
+
+  async getTags() {
+    return request(`${API_BASE}/search/tags`);
+  },
+
+  async setSessionTags(sessionId, tags) {
+    return request(`${API_BASE}/sessions/${sessionId}/tags`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags })
+    });
+  },
+
+  async setDecisionTags(decisionId, tags) {
+    return request(`${API_BASE}/decisions/${decisionId}/tags`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags })
+    });
+  },
+
+  async getUsage(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return request(`${API_BASE}/usage?${query}`);
   },
 
   async getDecisions(params = {}) {
     const query = new URLSearchParams(params).toString();
-    const res = await fetch(`${API_BASE}/decisions?${query}`);
-    return res.json();
+    return request(`${API_BASE}/decisions?${query}`);
+  },
+
+  exportDecisionLogUrl(format, params = {}) {
+    const query = new URLSearchParams({ format, ...params }).toString();
+    return `${API_BASE}/decisions/export?${query}`;
+  },
+
+  async getDecision(id) {
+    return request(`${API_BASE}/decisions/${id}`);
+  },
+
+  async updateDecision(id, fields) {
+    return request(`${API_BASE}/decisions/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields)
+    });
+  },
+
+  async setDecisionStances(decisionId, stances) {
+    return request(`${API_BASE}/decisions/${decisionId}/stances`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stances })
+    });
+  },
+
+  async runRetro(decisionId) {
+    return request(`${API_BASE}/decisions/${decisionId}/retro`, { method: 'POST' });
   },
 
   async finalizeDecision(sessionId, decision) {
-    const res = await fetch(`${API_BASE}/sessions/${sessionId}/decision`, {
+    return request(`${API_BASE}/sessions/${sessionId}/decision`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(decision)
     });
-    return res.json();
+  },
+
+  async getPersonas(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return request(`${API_BASE}/personas?${query}`);
+  },
+
+  async getPersona(id) {
+    return request(`${API_BASE}/personas/${id}`);
+  },
+
+  async getPersonaScorecard(id) {
+    return request(`${API_BASE}/personas/${id}/scorecard`);
+  },
+
+  async createPersona(persona) {
+    return request(`${API_BASE}/personas`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(persona)
+    });
+  },
+
+  async updatePersona(id, updates) {
+    return request(`${API_BASE}/personas/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates)
+    });
+  },
+
+  async deletePersona(id) {
+    return request(`${API_BASE}/personas/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  async previewPersona(persona) {
+    return request(`${API_BASE}/personas/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(persona)
+    });
+  },
+
+  async getTemplates() {
+    return request(`${API_BASE}/templates`);
+  },
+
+  async getTemplate(id) {
+    return request(`${API_BASE}/templates/${id}`);
+  },
+
+  async createTemplate(template) {
+    return request(`${API_BASE}/templates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(template)
+    });
+  },
+
+  async updateTemplate(id, updates) {
+    return request(`${API_BASE}/templates/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates)
+    });
+  },
+
+  async deleteTemplate(id) {
+    return request(`${API_BASE}/templates/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  async getAuthStatus() {
+    return request(`${API_BASE}/auth/status`);
+  },
+
+  async login(username, password) {
+    return request(`${API_BASE}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+  },
+
+  async register(username, password) {
+    return request(`${API_BASE}/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+  },
+
+  async logout() {
+    return request(`${API_BASE}/auth/logout`, { method: 'POST' });
+  },
+
+  // The signed-in user, the current workspace and all of theirs
+  async getMe() {
+    return request(`${API_BASE}/auth/me`);
+  },
+
+  async switchWorkspace(workspaceId) {
+    return request(`${API_BASE}/auth/workspace`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ workspace_id: workspaceId })
+    });
+  },
+
+  async getWorkspaces() {
+    return request(`${API_BASE}/workspaces`);
+  },
+
+  async createWorkspace(name) {
+    return request(`${API_BASE}/workspaces`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+  },
+
+  async getWorkspaceMembers(workspaceId) {
+    return request(`${API_BASE}/workspaces/${workspaceId}/members`);
+  },
+
+  async addWorkspaceMember(workspaceId, username) {
+    return request(`${API_BASE}/workspaces/${workspaceId}/members`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username })
+    });
+  },
+
+  async removeWorkspaceMember(workspaceId, userId) {
+    return request(`${API_BASE}/workspaces/${workspaceId}/members/${userId}`, { method: 'DELETE' });
+  },
+
+  async getTokens() {
+    return request(`${API_BASE}/auth/tokens`);
+  },
+
+  // The response holds the token itself; it isn't shown again
+  async createToken(name) {
+    return request(`${API_BASE}/auth/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+  },
+
+  async deleteToken(id) {
+    return request(`${API_BASE}/auth/tokens/${id}`, { method: 'DELETE' });
   },
 
   async getHealth() {
-    const res = await fetch(`${API_BASE}/health`);
-    return res.json();
+    return request(`${API_BASE}/health`);
   }
 };
@@ -0,0 +1,52 @@
+// Line diff (longest common subsequence) for comparing memo revisions and board runs.
+// diffLines returns [{ type: 'same' | 'added' | 'removed', text }].
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', text: before[i++] });
+    } else {
+      ops.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', text: before[i++] });
+  while (j < m) ops.push({ type: 'added', text: after[j++] });
+  return ops;
+}
+
+// Render a diff into container as +/- lines; unchanged lines are dimmed
+function renderDiff(container, ops) {
+  container.innerHTML = '';
+  container.className = 'diff';
+
+  if (!ops.some(op => op.type !== 'same')) {
+    const none = document.createElement('p');
+    none.className = 'empty';
+    none.textContent = 'No differences.';
+    container.appendChild(none);
+    return;
+  }
+
+  const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+  for (const op of ops) {
+    const line = document.createElement('div');
+    line.className = `diff-line diff-${op.type}`;
+    line.textContent = prefixes[op.type] + op.text;
+    container.appendChild(line);
+  }
+}
@@ -0,0 +1,154 @@
+// Safe rendering for memo text and board output.
+// Anything a user or a model wrote goes through escapeHtml, renderInline or
+// renderMarkdown before it reaches innerHTML; the Markdown subset (lists,
+// emphasis, inline and fenced code, pipe tables, headings, http(s) links) is
+// built from already-escaped text, so no markup in the source survives.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Plain text for element content or a quoted attribute value
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+// Only web links; javascript:, data: and the like render as plain text
+function safeUrl(url) {
+  return /^https?:\/\/[^\s]+$/i.test(url) ? url : null;
+}
+
+// One line of Markdown: `code`, **bold**, *em* / _em_, ~~strike~~ and [links](https://...)
+function renderInline(text) {
+  const codes = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codes.push(`<code>${code}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      // url is already escaped; unescape &amp; so the scheme check sees the real link
+      const href = safeUrl(url.replace(/&amp;/g, '&'));
+      return href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>` : match;
+    })
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, i) => codes[i]);
+}
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Block-level Markdown: paragraphs, headings, lists, fenced code and pipe tables
+function renderMarkdown(text) {
+  if (text === null || text === undefined || text === '') return '';
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code: kept verbatim (escaped) up to the closing fence or the end
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+    if (heading) {
+      // Page headings are h2/h3; Markdown headings sit below them
+      const level = Math.min(heading[1].length + 3, 6);
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      const header = tableCells(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(tableCells(lines[i++]));
+      blocks.push(`<table class="md-table"><thead><tr>${header.map(c => `<th>${renderInline(c)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.map(row => `<tr>${header.map((_, c) => `<td>${renderInline(row[c] || '')}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = Boolean(item[2]);
+      const items = [];
+      while (i < lines.length) {
+        const next = lines[i].match(LIST_ITEM);
+        if (next && Boolean(next[2]) === ordered) {
+          items.push(next[3]);
+        } else if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length) {
+          // An indented continuation line belongs to the item above
+          items[items.length - 1] += ' ' + lines[i].trim();
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.map(x => `<li>${renderInline(x)}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !LIST_ITEM.test(lines[i]) && !/^\s*(```|#{1,6}\s)/.test(lines[i])) {
+      paragraph.push(renderInline(lines[i].trim()));
+      i++;
+    }
+    blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+  }
+
+  return blocks.join('');
+}
+
+// A search snippet: the index wraps matches in <mark>, everything else is plain text
+function renderHighlighted(snippet) {
+  return escapeHtml(snippet).replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+}
+
+// A list of strings as <ul>, each item rendered as inline Markdown
+function renderList(items, className = '') {
+  return `<ul${className ? ` class="${escapeHtml(className)}"` : ''}>${items.map(x => `<li>${renderInline(x)}</li>`).join('')}</ul>`;
+}
+
+function formatLabel(key) {
+  return key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// Render any JSON value from a persona's output as nested lists; strings are Markdown
+function renderValue(value) {
+  if (value === null || value === undefined || value === '') return '<p class="empty">None</p>';
+  const item = v => (typeof v === 'object' && v !== null ? renderValue(v) : renderInline(v));
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '<p class="empty">None</p>';
+    return `<ul>${value.map(v => `<li>${item(v)}</li>`).join('')}</ul>`;
+  }
+  if (typeof value === 'object') {
+    return `<ul>${Object.entries(value).map(([k, v]) =>
+      `<li><strong>${escapeHtml(formatLabel(k))}:</strong> ${item(v)}</li>`
+    ).join('')}</ul>`;
+  }
+  return typeof value === 'string' ? renderMarkdown(value) : `<p>${escapeHtml(value)}</p>`;
+}
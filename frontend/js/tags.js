@@ -0,0 +1,67 @@
+// Tag editor: removable chips, an input that adds tags on Enter or comma,
+// and optional one-click suggestions (e.g. from the Secretary).
+// onChange(tags) should save and return the stored tags.
+function renderTagEditor(container, { tags = [], suggestions = [], onChange }) {
+  let current = [...tags];
+
+  const render = () => {
+    container.innerHTML = '';
+    container.className = 'tag-editor';
+
+    for (const tag of current) {
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip';
+      chip.textContent = tag;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = `Remove ${tag}`;
+      remove.onclick = () => update(current.filter(t => t !== tag));
+      chip.appendChild(remove);
+      container.appendChild(chip);
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = current.length ? 'Add tag...' : 'Add tags...';
+    input.onkeydown = (e) => {
+      if ((e.key === 'Enter' || e.key === ',') && input.value.trim()) {
+        e.preventDefault();
+        update([...current, input.value.trim()]);
+      }
+    };
+    container.appendChild(input);
+
+    for (const tag of suggestions.filter(s => !current.includes(s))) {
+      const suggestion = document.createElement('button');
+      suggestion.type = 'button';
+      suggestion.className = 'tag-suggestion';
+      suggestion.textContent = `+ ${tag}`;
+      suggestion.title = 'Suggested by the Secretary';
+      suggestion.onclick = () => update([...current, tag]);
+      container.appendChild(suggestion);
+    }
+  };
+
+  const update = async (next) => {
+    try {
+      current = await onChange(next);
+      render();
+      container.querySelector('input').focus();
+    } catch (error) {
+      console.error('Failed to save tags:', error);
+      alert('Failed to save tags: ' + error.message);
+    }
+  };
+
+  render();
+}
+
+// Read-only tag chips; clicking one calls the global function named onClick with the tag.
+// Returns HTML, so the page must also load render.js.
+function renderTagChips(tags, onClick = null) {
+  return tags.map(tag => onClick
+    ? `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" onclick="${onClick}(this.dataset.tag)">${escapeHtml(tag)}</button>`
+    : `<span class="tag-chip">${escapeHtml(tag)}</span>`
+  ).join('');
+}
@@ -1,4 +1,5 @@
 import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
 import { dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -12,6 +13,9 @@ const resolvedPath = dbPath.startsWith('.')
   ? resolve(__dirname, '../..', dbPath)
   : dbPath;
 
+// data/ isn't in the repo; create it on first start
+mkdirSync(dirname(resolvedPath), { recursive: true });
+
 const db = new Database(resolvedPath);
 db.pragma('journal_mode = WAL');
 
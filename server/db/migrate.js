@@ -0,0 +1,125 @@
+/**
+ * Schema Migrations
+ *
+ * Numbered files in server/db/migrations/ (001_initial.sql, 002_backfill_runs.js, ...)
+ * are applied in order, each in its own transaction, and recorded in
+ * schema_migrations. SQL files are run as they are; JS files export up(db).
+ * Add a new numbered file for every schema change; never edit an applied one.
+ *
+ * Databases created by hand from schema.sql before migrations existed have tables
+ * but no schema_migrations. They are upgraded in place: any column the initial
+ * migration defines and they lack is added first, so its CREATE ... IF NOT EXISTS
+ * statements then apply cleanly.
+ *
+ * Runs when the server starts, or on its own with npm run db:init.
+ */
+
+import 'dotenv/config';  // for npm run db:init; the server has already loaded it
+import Database from 'better-sqlite3';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import db from './db.js';
+import { seedPersonas } from '../services/personas.js';
+import { seedTemplates } from '../services/templates.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.(sql|js)$/;
+
+function tableNames(conn) {
+  return conn.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`)
+    .all().map(t => t.name);
+}
+
+function listMigrations() {
+  return readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, type]) => ({ version: parseInt(version, 10), name: file, type }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Bring a pre-migrations database up to the initial migration's columns
+ *
+ * @returns {string[]} - Columns added, as table.column
+ */
+function upgradeLegacyDatabase(initialSql) {
+  const reference = new Database(':memory:');
+  reference.exec(initialSql);
+
+  const existing = new Set(tableNames(db));
+  const added = [];
+  for (const table of tableNames(reference)) {
+    if (!existing.has(table)) continue;
+
+    const have = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    for (const column of reference.prepare(`PRAGMA table_info(${table})`).all()) {
+      if (have.has(column.name)) continue;
+      const dflt = column.dflt_value === null ? '' : ` DEFAULT ${column.dflt_value}`;
+      db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.type}${dflt}`).run();
+      added.push(`${table}.${column.name}`);
+    }
+  }
+  reference.close();
+
+  // Tags were not unique per session before; the initial migration's unique index needs them to be
+  if (existing.has('tags')) {
+    db.prepare('DELETE FROM tags WHERE rowid NOT IN (SELECT MIN(rowid) FROM tags GROUP BY session_id, tag)').run();
+  }
+
+  return added;
+}
+
+/**
+ * Apply pending migrations and seed the default board and memo templates
+ *
+ * @returns {Promise<Object>} - { applied: [file names], upgraded: [columns added to a legacy database], seeded, seededTemplates }
+ */
+export async function migrate() {
+  const legacy = !tableNames(db).includes('schema_migrations') && tableNames(db).includes('sessions');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const migrations = listMigrations();
+  const upgraded = legacy
+    ? db.transaction(upgradeLegacyDatabase)(readFileSync(join(MIGRATIONS_DIR, migrations[0].name), 'utf-8'))
+    : [];
+
+  const done = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(m => m.version));
+  const applied = [];
+  for (const migration of migrations) {
+    if (done.has(migration.version)) continue;
+
+    const path = join(MIGRATIONS_DIR, migration.name);
+    const up = migration.type === 'sql'
+      ? () => db.exec(readFileSync(path, 'utf-8'))
+      : (await import(pathToFileURL(path).href)).up;
+
+    db.transaction(() => {
+      up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+    applied.push(migration.name);
+  }
+
+  return { applied, upgraded, seeded: seedPersonas(), seededTemplates: seedTemplates() };
+}
+
+// npm run db:init
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { applied, upgraded, seeded, seededTemplates } = await migrate();
+  if (upgraded.length) console.log(`Upgraded existing database: added ${upgraded.join(', ')}`);
+  console.log(applied.length ? `Applied migrations: ${applied.join(', ')}` : 'Database is up to date');
+  if (seeded) console.log(`Seeded ${seeded} default personas`);
+  if (seededTemplates) console.log(`Seeded ${seededTemplates} default memo templates`);
+}
+
+export default { migrate };
@@ -0,0 +1,244 @@
+-- Personas table (the 6 board members)
+CREATE TABLE IF NOT EXISTS personas (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    description TEXT,
+    system_prompt TEXT NOT NULL,
+    output_schema TEXT,  -- JSON schema for validation
+    reasoning_effort TEXT,  -- overrides config reasoning_overrides when set
+    provider TEXT,  -- openai, anthropic, openai-compatible, mock; NULL uses LLM_PROVIDER
+    model TEXT,  -- NULL uses the provider's default model
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sessions table (one per board meeting)
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    status TEXT DEFAULT 'draft',  -- draft, running, needs_info, complete, archived
+    category TEXT,  -- career, project, finance
+    forked_from TEXT,  -- session this one was forked from, for what-if variants
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    completed_at TEXT
+);
+
+-- Memos table (Chair's input)
+CREATE TABLE IF NOT EXISTS memos (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(id),
+    context TEXT,  -- JSON array
+    decision_required TEXT NOT NULL,
+    options TEXT,  -- JSON array
+    constraints TEXT,  -- JSON object
+    success_metrics TEXT,  -- JSON array
+    questions_for_board TEXT,  -- JSON array
+    attachments TEXT,  -- JSON array
+    version INTEGER DEFAULT 1,  -- latest revision in memo_revisions
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Memo revisions (every saved version of a session's memo; memos holds the latest)
+CREATE TABLE IF NOT EXISTS memo_revisions (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    context TEXT,  -- JSON array
+    decision_required TEXT NOT NULL,
+    options TEXT,  -- JSON array
+    constraints TEXT,  -- JSON object
+    success_metrics TEXT,  -- JSON array
+    questions_for_board TEXT,  -- JSON array
+    attachments TEXT,  -- JSON array
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, version),
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Runs table (each time the board meets on a session, against one memo revision)
+CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    run_number INTEGER NOT NULL,
+    memo_version INTEGER NOT NULL,
+    status TEXT DEFAULT 'running',  -- running, needs_info, complete, failed
+    debate_rounds INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    completed_at TEXT,
+    UNIQUE (session_id, run_number),
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Responses table (each persona's response)
+CREATE TABLE IF NOT EXISTS responses (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    persona_id TEXT NOT NULL,
+    run_id TEXT,  -- NULL for retros
+    round INTEGER DEFAULT 1,  -- debate round; the Strategist is stored with the final round
+    position TEXT,
+    top_reasons TEXT,  -- JSON array
+    top_risks TEXT,  -- JSON array
+    recommended_modifications TEXT,  -- JSON array
+    validation_metrics TEXT,  -- JSON object
+    confidence TEXT,  -- low, medium, high
+    raw_analysis TEXT,
+    structured_output TEXT,  -- JSON, full parsed output including persona-specific sections
+    tokens_used INTEGER,  -- total tokens
+    input_tokens INTEGER,
+    output_tokens INTEGER,  -- includes reasoning tokens
+    reasoning_tokens INTEGER,
+    provider TEXT,
+    model TEXT,
+    reasoning_effort TEXT,  -- effort actually used, after any budget downgrade
+    cost_usd REAL,  -- NULL if the model has no price in the price table
+    kind TEXT DEFAULT 'meeting',  -- meeting, retro
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id),
+    FOREIGN KEY (persona_id) REFERENCES personas(id)
+);
+
+-- Decisions table (finalized outcomes)
+CREATE TABLE IF NOT EXISTS decisions (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL UNIQUE,
+    decision_statement TEXT NOT NULL,
+    rationale TEXT,
+    execution_guardrails TEXT,  -- JSON array
+    pre_mortem TEXT,  -- JSON object
+    assumption_to_test TEXT,
+    review_date TEXT,  -- YYYY-MM-DD, when the Chair should record the outcome
+    outcome TEXT,  -- filled in later: what happened
+    retrospective TEXT,  -- filled in later: lessons learned
+    outcome_rating INTEGER,  -- 1 (much worse than hoped) to 5 (much better)
+    assumption_held TEXT,  -- yes, partially, no, unknown
+    reviewed_at TEXT,  -- set when the outcome is recorded
+    retro_analysis TEXT,  -- JSON, the Strategist's retro: recommendation vs outcome
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Actions table (next steps from each session)
+CREATE TABLE IF NOT EXISTS actions (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    decision_id TEXT,
+    action TEXT NOT NULL,
+    owner TEXT DEFAULT 'Chair',
+    timeframe TEXT,  -- as the Strategist wrote it, e.g. "This week"
+    due_date TEXT,  -- YYYY-MM-DD, parsed from timeframe or set by the Chair
+    status TEXT DEFAULT 'open',  -- open, in_progress, complete, cancelled
+    completed_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id),
+    FOREIGN KEY (decision_id) REFERENCES decisions(id)
+);
+
+-- Tags table (for categorization and search)
+CREATE TABLE IF NOT EXISTS tags (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id)
+);
+
+-- Full-text search over memos, persona responses and decisions
+-- Kept in sync by the triggers below; JSON columns are flattened to their text values
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    session_id UNINDEXED,
+    source UNINDEXED,  -- memo, response, decision
+    source_id UNINDEXED,
+    title,
+    body,
+    tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS memos_search_insert AFTER INSERT ON memos BEGIN
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'memo', NEW.id, NEW.decision_required,
+        (SELECT group_concat(value, ' ') FROM json_tree(json_array(
+            json(CASE WHEN json_valid(NEW.context) THEN NEW.context ELSE '[]' END),
+            json(CASE WHEN json_valid(NEW.options) THEN NEW.options ELSE '[]' END),
+            json(CASE WHEN json_valid(NEW.constraints) THEN NEW.constraints ELSE '{}' END),
+            json(CASE WHEN json_valid(NEW.success_metrics) THEN NEW.success_metrics ELSE '[]' END),
+            json(CASE WHEN json_valid(NEW.questions_for_board) THEN NEW.questions_for_board ELSE '[]' END)
+        )) WHERE type = 'text');
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_search_delete AFTER DELETE ON memos BEGIN
+    DELETE FROM search_index WHERE source = 'memo' AND source_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_search_update AFTER UPDATE ON memos BEGIN
+    DELETE FROM search_index WHERE source = 'memo' AND source_id = OLD.id;
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'memo', NEW.id, NEW.decision_required,
+        (SELECT group_concat(value, ' ') FROM json_tree(json_array(
+            json(CASE WHEN json_valid(NEW.context) THEN NEW.context ELSE '[]' END),
+            json(CASE WHEN json_valid(NEW.options) THEN NEW.options ELSE '[]' END),
+            json(CASE WHEN json_valid(NEW.constraints) THEN NEW.constraints ELSE '{}' END),
+            json(CASE WHEN json_valid(NEW.success_metrics) THEN NEW.success_metrics ELSE '[]' END),
+            json(CASE WHEN json_valid(NEW.questions_for_board) THEN NEW.questions_for_board ELSE '[]' END)
+        )) WHERE type = 'text');
+END;
+
+CREATE TRIGGER IF NOT EXISTS responses_search_insert AFTER INSERT ON responses BEGIN
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'response', NEW.id, NEW.position,
+        COALESCE((SELECT group_concat(value, ' ') FROM json_tree(
+            CASE WHEN json_valid(NEW.structured_output) THEN NEW.structured_output ELSE '{}' END
+        ) WHERE type = 'text'), NEW.raw_analysis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS responses_search_delete AFTER DELETE ON responses BEGIN
+    DELETE FROM search_index WHERE source = 'response' AND source_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS responses_search_update
+AFTER UPDATE OF position, structured_output, raw_analysis ON responses BEGIN
+    DELETE FROM search_index WHERE source = 'response' AND source_id = OLD.id;
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'response', NEW.id, NEW.position,
+        COALESCE((SELECT group_concat(value, ' ') FROM json_tree(
+            CASE WHEN json_valid(NEW.structured_output) THEN NEW.structured_output ELSE '{}' END
+        ) WHERE type = 'text'), NEW.raw_analysis);
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_search_insert AFTER INSERT ON decisions BEGIN
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'decision', NEW.id, NEW.decision_statement,
+        concat_ws(' ', NEW.rationale, NEW.assumption_to_test, NEW.outcome, NEW.retrospective,
+            (SELECT group_concat(value, ' ') FROM json_tree(
+                CASE WHEN json_valid(NEW.execution_guardrails) THEN NEW.execution_guardrails ELSE '[]' END
+            ) WHERE type = 'text'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_search_delete AFTER DELETE ON decisions BEGIN
+    DELETE FROM search_index WHERE source = 'decision' AND source_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_search_update
+AFTER UPDATE OF decision_statement, rationale, assumption_to_test, outcome, retrospective, execution_guardrails ON decisions BEGIN
+    DELETE FROM search_index WHERE source = 'decision' AND source_id = OLD.id;
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'decision', NEW.id, NEW.decision_statement,
+        concat_ws(' ', NEW.rationale, NEW.assumption_to_test, NEW.outcome, NEW.retrospective,
+            (SELECT group_concat(value, ' ') FROM json_tree(
+                CASE WHEN json_valid(NEW.execution_guardrails) THEN NEW.execution_guardrails ELSE '[]' END
+            ) WHERE type = 'text'));
+END;
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
+CREATE INDEX IF NOT EXISTS idx_sessions_category ON sessions(category);
+CREATE INDEX IF NOT EXISTS idx_responses_session ON responses(session_id);
+CREATE INDEX IF NOT EXISTS idx_responses_created ON responses(created_at);
+CREATE INDEX IF NOT EXISTS idx_responses_run ON responses(run_id);
+CREATE INDEX IF NOT EXISTS idx_decisions_review ON decisions(review_date);
+CREATE INDEX IF NOT EXISTS idx_actions_status ON actions(status);
+CREATE INDEX IF NOT EXISTS idx_actions_session ON actions(session_id);
+CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_session_tag ON tags(session_id, tag);
@@ -0,0 +1,49 @@
+// Sessions from before memo revisions and runs were recorded: each memo becomes
+// its own first revision, and each session's board responses become run 1.
+import { v4 as uuidv4 } from 'uuid';
+
+const MEMO_FIELDS = [
+  'context', 'decision_required', 'options', 'constraints',
+  'success_metrics', 'questions_for_board', 'attachments'
+];
+
+// A legacy session still marked running was interrupted by a restart
+const RUN_STATUS = { needs_info: 'needs_info', running: 'failed' };
+
+export function up(db) {
+  const memos = db.prepare(`
+    SELECT * FROM memos m
+    WHERE NOT EXISTS (SELECT 1 FROM memo_revisions r WHERE r.session_id = m.session_id)
+  `).all();
+  const insertRevision = db.prepare(`
+    INSERT INTO memo_revisions (id, session_id, version, ${MEMO_FIELDS.join(', ')}, created_at)
+    VALUES (?, ?, ?, ${MEMO_FIELDS.map(() => '?').join(', ')}, ?)
+  `);
+  for (const memo of memos) {
+    insertRevision.run(uuidv4(), memo.session_id, memo.version || 1, ...MEMO_FIELDS.map(f => memo[f]), memo.created_at);
+  }
+
+  const sessions = db.prepare(`
+    SELECT s.id, s.status, m.version AS memo_version,
+      MAX(r.round) AS debate_rounds, MIN(r.created_at) AS created_at, MAX(r.created_at) AS completed_at
+    FROM responses r
+    JOIN sessions s ON s.id = r.session_id
+    LEFT JOIN memos m ON m.session_id = s.id
+    WHERE r.run_id IS NULL AND r.kind = 'meeting'
+      AND NOT EXISTS (SELECT 1 FROM runs WHERE session_id = s.id)
+    GROUP BY s.id
+  `).all();
+  const insertRun = db.prepare(`
+    INSERT INTO runs (id, session_id, run_number, memo_version, status, debate_rounds, created_at, completed_at)
+    VALUES (?, ?, 1, ?, ?, ?, ?, ?)
+  `);
+  const linkResponses = db.prepare(`UPDATE responses SET run_id = ? WHERE session_id = ? AND run_id IS NULL AND kind = 'meeting'`);
+  for (const session of sessions) {
+    const runId = uuidv4();
+    insertRun.run(
+      runId, session.id, session.memo_version || 1, RUN_STATUS[session.status] || 'complete',
+      session.debate_rounds || 1, session.created_at, session.completed_at
+    );
+    linkResponses.run(runId, session.id);
+  }
+}
@@ -0,0 +1,68 @@
+-- Local accounts (scrypt password hashes); the first account is the server admin
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    is_admin INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Workspaces: every user has a personal board; team boards are shared by their members
+CREATE TABLE IF NOT EXISTS workspaces (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    kind TEXT DEFAULT 'personal',  -- personal, team
+    owner_id TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    role TEXT DEFAULT 'member',  -- owner, member
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workspace_id, user_id),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Cookie sign-ins; the id is a SHA-256 hash of the cookie value
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    workspace_id TEXT,  -- workspace selected in the browser
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- API tokens for scripts (Authorization: Bearer ...); only a SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Rows belong to a workspace; owner_id is the user who created them.
+-- Existing rows have no workspace until the first account claims them.
+-- Personas with no workspace are the default board every workspace shares.
+ALTER TABLE sessions ADD COLUMN owner_id TEXT;
+ALTER TABLE sessions ADD COLUMN workspace_id TEXT;
+ALTER TABLE decisions ADD COLUMN owner_id TEXT;
+ALTER TABLE decisions ADD COLUMN workspace_id TEXT;
+ALTER TABLE personas ADD COLUMN owner_id TEXT;
+ALTER TABLE personas ADD COLUMN workspace_id TEXT;
+ALTER TABLE actions ADD COLUMN owner_id TEXT;
+ALTER TABLE actions ADD COLUMN workspace_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_workspace ON sessions(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_decisions_workspace ON decisions(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_personas_workspace ON personas(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_actions_workspace ON actions(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
@@ -0,0 +1,32 @@
+-- A persona call that failed (an API error, or a reply that never matched its
+-- schema) is kept as a response with status 'failed' and the error, so the
+-- meeting can go on without that member and a resumed meeting knows whom to ask again.
+-- Sessions whose meeting failed outright have status 'failed' and can be resumed.
+ALTER TABLE responses ADD COLUMN status TEXT DEFAULT 'ok';  -- ok, failed
+ALTER TABLE responses ADD COLUMN error TEXT;
+ALTER TABLE responses ADD COLUMN repairs INTEGER DEFAULT 0;  -- re-prompts it took to get a reply matching the schema
+
+CREATE INDEX IF NOT EXISTS idx_responses_run ON responses(run_id);
+
+-- Failed responses hold at most a broken reply; keep them out of search
+DROP TRIGGER IF EXISTS responses_search_insert;
+CREATE TRIGGER responses_search_insert AFTER INSERT ON responses
+WHEN NEW.status IS NOT 'failed' BEGIN
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'response', NEW.id, NEW.position,
+        COALESCE((SELECT group_concat(value, ' ') FROM json_tree(
+            CASE WHEN json_valid(NEW.structured_output) THEN NEW.structured_output ELSE '{}' END
+        ) WHERE type = 'text'), NEW.raw_analysis);
+END;
+
+DROP TRIGGER IF EXISTS responses_search_update;
+CREATE TRIGGER responses_search_update
+AFTER UPDATE OF position, structured_output, raw_analysis ON responses BEGIN
+    DELETE FROM search_index WHERE source = 'response' AND source_id = OLD.id;
+    INSERT INTO search_index (session_id, source, source_id, title, body)
+    SELECT NEW.session_id, 'response', NEW.id, NEW.position,
+        COALESCE((SELECT group_concat(value, ' ') FROM json_tree(
+            CASE WHEN json_valid(NEW.structured_output) THEN NEW.structured_output ELSE '{}' END
+        ) WHERE type = 'text'), NEW.raw_analysis)
+    WHERE NEW.status IS NOT 'failed';
+END;
@@ -0,0 +1,19 @@
+-- Replies to persona calls, keyed by a hash of everything that shapes them
+-- (provider, model, reasoning effort, instructions, input, schema), so an
+-- unchanged call within personas.cache_ttl_seconds is answered without the API
+CREATE TABLE IF NOT EXISTS llm_cache (
+    key TEXT PRIMARY KEY,  -- SHA-256 hex
+    persona_id TEXT,
+    provider TEXT,
+    model TEXT,
+    raw TEXT NOT NULL,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    reasoning_tokens INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_cache_created ON llm_cache(created_at);
+
+-- 1 when the reply came from llm_cache; such responses cost nothing and report no tokens
+ALTER TABLE responses ADD COLUMN cached INTEGER DEFAULT 0;
@@ -0,0 +1,19 @@
+-- Earlier decisions a run's board was shown as precedent, closest match first.
+-- Stored per run so a resumed meeting sees the same ones and the session view can list them.
+CREATE TABLE IF NOT EXISTS precedents (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,  -- the session whose board was shown the precedent
+    run_id TEXT NOT NULL,
+    precedent_session_id TEXT NOT NULL,
+    decision_id TEXT NOT NULL,
+    rank INTEGER NOT NULL,  -- 1 = closest match
+    score REAL,  -- BM25 relevance from search_index (lower is closer)
+    matched_terms TEXT,  -- JSON array of the memo's words the precedent shares
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id),
+    FOREIGN KEY (run_id) REFERENCES runs(id),
+    FOREIGN KEY (precedent_session_id) REFERENCES sessions(id),
+    FOREIGN KEY (decision_id) REFERENCES decisions(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_precedents_run ON precedents(run_id, rank);
@@ -0,0 +1,19 @@
+-- Where each board member stood on a finalized decision, and, once the outcome
+-- is known, whether their view proved right. Feeds the persona scorecards.
+CREATE TABLE IF NOT EXISTS stances (
+    id TEXT PRIMARY KEY,
+    decision_id TEXT NOT NULL,
+    persona_id TEXT NOT NULL,
+    response_id TEXT,  -- the member's final-round response
+    stance TEXT NOT NULL,  -- agree, dissent (with the decision)
+    confidence TEXT,  -- low, medium, high: the member's confidence in that response
+    proved_right INTEGER,  -- 1 = their view proved right, 0 = it didn't, NULL = not judged yet
+    judged_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (decision_id, persona_id),
+    FOREIGN KEY (decision_id) REFERENCES decisions(id),
+    FOREIGN KEY (persona_id) REFERENCES personas(id),
+    FOREIGN KEY (response_id) REFERENCES responses(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stances_persona ON stances(persona_id);
@@ -0,0 +1,21 @@
+-- Memo templates, one per session category: the extra intake fields a memo in
+-- that category asks for, and per-persona instructions added to the board's
+-- prompts for it. The defaults are seeded on first start (see templates.js).
+CREATE TABLE IF NOT EXISTS memo_templates (
+    id TEXT PRIMARY KEY,  -- the category sessions use, e.g. career
+    name TEXT NOT NULL,
+    description TEXT,
+    fields TEXT NOT NULL DEFAULT '[]',  -- JSON: [{ key, label, type, options, placeholder, hint }]
+    prompt_addenda TEXT NOT NULL DEFAULT '{}',  -- JSON: persona id -> extra instructions
+    owner_id TEXT,
+    workspace_id TEXT,  -- NULL: a default template every workspace shares
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES users(id),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+);
+
+-- The template's fields as the Chair filled them in, labels included, so a
+-- revision reads the same after the template changes. JSON: [{ key, label, value }]
+ALTER TABLE memos ADD COLUMN template_fields TEXT;
+ALTER TABLE memo_revisions ADD COLUMN template_fields TEXT;
@@ -0,0 +1,10 @@
+-- The run a decision was taken on, so its retro and stances read that run's
+-- responses even if the board meets again afterwards. Existing decisions get the
+-- latest run started before they were finalized.
+ALTER TABLE decisions ADD COLUMN run_id TEXT;
+
+UPDATE decisions SET run_id = (
+    SELECT ru.id FROM runs ru
+    WHERE ru.session_id = decisions.session_id AND ru.created_at <= decisions.created_at
+    ORDER BY ru.run_number DESC LIMIT 1
+);
@@ -0,0 +1,12 @@
+-- A workspace's own activation of a default persona, so switching a default
+-- member off (or back on) changes only that workspace's board. Without a row
+-- the persona's is_active applies.
+CREATE TABLE IF NOT EXISTS workspace_personas (
+    workspace_id TEXT NOT NULL,
+    persona_id TEXT NOT NULL,
+    is_active INTEGER NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workspace_id, persona_id),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id),
+    FOREIGN KEY (persona_id) REFERENCES personas(id)
+);
@@ -0,0 +1,8 @@
+-- When a run's precedents were looked up, so a resumed run keeps what its board
+-- was shown even if that was nothing. Runs from before this with saved
+-- precedents were searched when those were saved.
+ALTER TABLE runs ADD COLUMN precedents_searched_at TEXT;
+
+UPDATE runs SET precedents_searched_at = (
+    SELECT MIN(p.created_at) FROM precedents p WHERE p.run_id = runs.id
+);
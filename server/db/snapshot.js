@@ -0,0 +1,11 @@
+// Snapshot the database from the command line: npm run db:snapshot
+// Runs before db:reset so a reset can always be undone.
+import 'dotenv/config';
+import { createSnapshot, SNAPSHOTS_DIR } from '../services/backup.js';
+
+const snapshot = await createSnapshot(process.argv[2] || 'manual');
+if (snapshot) {
+  console.log(`Snapshot saved to ${SNAPSHOTS_DIR}/${snapshot.name}`);
+} else {
+  console.log('No database to snapshot');
+}
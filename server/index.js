@@ -14,6 +14,20 @@ import { dirname, join } from 'path';
 import sessionsRouter from './routes/sessions.js';
 import decisionsRouter from './routes/decisions.js';
 import personasRouter from './routes/personas.js';
+import templatesRouter from './routes/templates.js';
+import usageRouter from './routes/usage.js';
+import actionsRouter from './routes/actions.js';
+import searchRouter from './routes/search.js';
+import adminRouter from './routes/admin.js';
+import authRouter from './routes/auth.js';
+import workspacesRouter from './routes/workspaces.js';
+import { requireAuth, requireAdmin } from './middleware/auth.js';
+import { apiNotFound, errorHandler } from './middleware/errors.js';
+import { migrate } from './db/migrate.js';
+import { ensureSearchIndex } from './services/search.js';
+import { startSnapshotSchedule } from './services/backup.js';
+import { recoverInterruptedMeetings } from './services/jobs.js';
+import { getClient } from './services/llm-client.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -25,6 +39,32 @@ try {
   console.warn('Warning: Could not load config.json, using defaults');
 }
 
+// Create or upgrade the database, then seed the default board and memo templates on first start
+try {
+  const { applied, upgraded, seeded, seededTemplates } = await migrate();
+  if (upgraded.length) console.log(`Upgraded existing database: added ${upgraded.join(', ')}`);
+  if (applied.length) console.log(`Applied migrations: ${applied.join(', ')}`);
+  if (seeded) console.log(`Seeded ${seeded} default personas`);
+  if (seededTemplates) console.log(`Seeded ${seededTemplates} default memo templates`);
+} catch (error) {
+  console.error('Database migration failed:', error.message);
+  process.exit(1);
+}
+
+// Index sessions that predate full-text search
+try {
+  const indexed = ensureSearchIndex();
+  if (indexed) console.log(`Indexed ${indexed} memos, responses and decisions for search`);
+} catch (error) {
+  console.warn('Warning: Could not build search index:', error.message);
+}
+
+const interrupted = recoverInterruptedMeetings();
+if (interrupted) console.log(`Marked ${interrupted} board meetings interrupted by the last shutdown as failed`);
+
+// Keep local snapshots of the database
+startSnapshotSchedule();
+
 const app = express();
 
 // Use environment variables for server settings (with fallback defaults)
@@ -32,36 +72,53 @@ const PORT = process.env.PORT || 3000;
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
 
 // Middleware
-app.use(cors({ origin: CORS_ORIGIN }));
+// Sign-in cookies only cross origins when CORS_ORIGIN names one
+app.use(cors({ origin: CORS_ORIGIN, credentials: CORS_ORIGIN !== '*' }));
 app.use(express.json({ limit: '10mb' }));
 
 // Serve frontend static files
 app.use(express.static(join(__dirname, '../frontend')));
 
 // API Routes
-app.use('/api/sessions', sessionsRouter);
-app.use('/api/decisions', decisionsRouter);
-app.use('/api/personas', personasRouter);
+// Everything but sign-in and the health check needs an account
+app.use('/api/auth', authRouter);
+app.use('/api/workspaces', requireAuth, workspacesRouter);
+app.use('/api/sessions', requireAuth, sessionsRouter);
+app.use('/api/decisions', requireAuth, decisionsRouter);
+app.use('/api/personas', requireAuth, personasRouter);
+app.use('/api/templates', requireAuth, templatesRouter);
+app.use('/api/usage', requireAuth, usageRouter);
+app.use('/api/actions', requireAuth, actionsRouter);
+app.use('/api/search', requireAuth, searchRouter);
+app.use('/api/admin', requireAuth, requireAdmin, adminRouter);
 
 // Health check endpoint (useful for verifying configuration)
 app.get('/api/health', (req, res) => {
+  const llm = getClient();
+  const provider = llm.getProvider();
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     config: {
       port: PORT,
-      model: process.env.LLM_MODEL || 'gpt-5.2',
-      reasoningEffort: process.env.LLM_REASONING_EFFORT || 'medium',
+      provider: llm.providerName,
+      model: llm.getModel(),
+      reasoningEffort: llm.reasoningEffort,
       dbPath: process.env.DB_PATH || './data/board.db',
-      // Never expose API key, just show if it's configured
-      apiKeyConfigured: !!process.env.OPENAI_API_KEY
+      // Never expose API keys, just show if the default provider is configured
+      apiKeyConfigured: provider.isConfigured()
     }
   });
 });
 
+// Errors from every route, as { error, code, fields? }
+app.use('/api', apiNotFound);
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
+  const llm = getClient();
   console.log(`Personal Board server running at http://localhost:${PORT}`);
-  console.log(`Model: ${process.env.LLM_MODEL || 'gpt-5.2'}`);
-  console.log(`API Key: ${process.env.OPENAI_API_KEY ? 'Configured' : 'NOT CONFIGURED - check .env file!'}`);
+  console.log(`Provider: ${llm.providerName}, model: ${llm.getModel()}`);
+  console.log(`API Key: ${llm.getProvider().isConfigured() ? 'Configured' : 'NOT CONFIGURED - check .env file!'}`);
 });
@@ -0,0 +1,64 @@
+/**
+ * Sign-in middleware for the API routes
+ *
+ * requireAuth accepts an API token ("Authorization: Bearer ...") or the sign-in
+ * cookie, and sets req.user and req.workspace. The workspace is the one named in
+ * an X-Workspace-Id header, else the one selected in the browser, else the user's
+ * personal workspace. Lists and new rows use req.workspace; routes that take an id
+ * accept any workspace the user belongs to (see memberOf).
+ */
+
+import { SESSION_COOKIE, resolveApiToken, resolveAuthSession, getWorkspaces } from '../services/auth.js';
+import { unauthorized, forbidden } from './errors.js';
+
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+export function requireAuth(req, res, next) {
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+
+  let user = null;
+  let selectedWorkspaceId = null;
+  if (bearer) {
+    user = resolveApiToken(bearer);
+  } else {
+    const signIn = resolveAuthSession(readCookie(req, SESSION_COOKIE));
+    if (signIn) {
+      user = signIn.user;
+      req.authSessionId = signIn.authSessionId;
+      selectedWorkspaceId = signIn.workspaceId;
+    }
+  }
+  if (!user) return next(unauthorized('Sign in required'));
+
+  const workspaces = getWorkspaces(user.id);
+  const requested = req.get('X-Workspace-Id');
+  const workspace = requested
+    ? workspaces.find(w => w.id === requested)
+    : workspaces.find(w => w.id === selectedWorkspaceId) || workspaces[0];
+  if (!workspace) return next(forbidden('You are not a member of that workspace'));
+
+  req.user = user;
+  req.workspace = workspace;
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (!req.user?.is_admin) return next(forbidden('Only the server admin can do that'));
+  next();
+}
+
+/**
+ * SQL condition: the row's workspace is one the signed-in user belongs to.
+ * Bind req.user.id for the placeholder.
+ */
+export function memberOf(column = 'workspace_id') {
+  return `${column} IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)`;
+}
+
+export default { readCookie, requireAuth, requireAdmin, memberOf };
@@ -0,0 +1,105 @@
+/**
+ * API errors
+ *
+ * Routes throw an ApiError (or pass one to next); errorHandler turns it, and
+ * anything else that goes wrong, into one JSON shape:
+ *   { error: 'Session not found', code: 'not_found' }
+ *   { error: 'limit must be an integer from 1 to 100', code: 'validation_failed', fields: { limit: 'must be an integer from 1 to 100' } }
+ * Unexpected errors are logged and answered with a 500 that doesn't leak details.
+ */
+
+import multer from 'multer';
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Stable, machine-readable error code
+   * @param {string} message - Shown to the Chair
+   * @param {Object} extra - More fields for the response body, e.g. { fields } or { budget }
+   */
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+export const badRequest = (message) => new ApiError(400, 'invalid_request', message);
+export const unauthorized = (message) => new ApiError(401, 'unauthorized', message);
+export const forbidden = (message) => new ApiError(403, 'forbidden', message);
+export const notFound = (message) => new ApiError(404, 'not_found', message);
+export const conflict = (message) => new ApiError(409, 'conflict', message);
+
+/**
+ * One 400 listing every invalid field, e.g. { limit: 'must be an integer from 1 to 100' }
+ */
+export function validationError(fields) {
+  const message = Object.entries(fields).map(([field, problem]) => `${field} ${problem}`).join('; ');
+  return new ApiError(400, 'validation_failed', message, { fields });
+}
+
+/**
+ * Wrap an async route handler so a rejection reaches errorHandler
+ */
+export function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  // Thrown by express.json()
+  if (error.type === 'entity.parse.failed') return new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+  if (error.type === 'entity.too.large') return new ApiError(413, 'too_large', 'Request body is too large');
+
+  if (error instanceof multer.MulterError) {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? new ApiError(413, 'too_large', error.message)
+      : new ApiError(400, 'invalid_upload', error.message);
+  }
+
+  // A check the route missed; still not the server's fault
+  if (/^SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)$/.test(error.code)) {
+    return new ApiError(409, 'conflict', 'That conflicts with an existing record');
+  }
+  if (String(error.code).startsWith('SQLITE_CONSTRAINT')) {
+    return new ApiError(400, 'invalid_request', 'That refers to a record that does not exist or is missing a required value');
+  }
+
+  return null;
+}
+
+/**
+ * Unknown /api routes answer in the same shape rather than with Express's HTML page
+ */
+export function apiNotFound(req, res, next) {
+  next(notFound(`No such API route: ${req.method} ${req.originalUrl.split('?')[0]}`));
+}
+
+// Express recognizes error middleware by its four arguments
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (!apiError) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error);
+    return res.status(500).json({ error: 'Something went wrong on the server', code: 'internal_error' });
+  }
+
+  res.status(apiError.status).json({ error: apiError.message, code: apiError.code, ...apiError.extra });
+}
+
+export default {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  validationError,
+  asyncRoute,
+  apiNotFound,
+  errorHandler
+};
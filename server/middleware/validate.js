@@ -0,0 +1,167 @@
+/**
+ * Request validation
+ *
+ * validate({ params, query, body }) checks each listed field against a small
+ * schema, then replaces the request's values with the parsed ones: query strings
+ * become numbers, booleans and lists, and defaults are filled in. Every problem
+ * is reported at once as a 400 validation_failed with a message per field.
+ * Fields a schema doesn't list pass through unchanged.
+ *
+ * A field schema:
+ *   type       string, integer, number, boolean, date (YYYY-MM-DD), array, object or any
+ *   required   must be present (and, for strings, not blank)
+ *   nullable   null or '' means "no value" and becomes null
+ *   default    used when the field is absent
+ *   enum       allowed values (for arrays: allowed items)
+ *   min, max   range for integers and numbers
+ *   minLength, maxLength   for strings (trimmed) and arrays
+ *   pattern, patternMessage   for strings
+ *   items      schema for each array item
+ *   check      (value) => problem or null, for anything else
+ *
+ * In the query string an empty value counts as absent, and an array is a
+ * comma-separated list.
+ */
+
+import { validationError } from './errors.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) return ` from ${min} to ${max}`;
+  if (min !== undefined) return ` of at least ${min}`;
+  if (max !== undefined) return ` of at most ${max}`;
+  return '';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseNumber(value, schema, fromQuery) {
+  const integer = schema.type === 'integer';
+  let number = value;
+  if (fromQuery && typeof value === 'string') {
+    number = (integer ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/).test(value) ? Number(value) : NaN;
+  }
+  const valid = typeof number === 'number' && (integer ? Number.isInteger(number) : Number.isFinite(number));
+  if (!valid || (schema.min !== undefined && number < schema.min) || (schema.max !== undefined && number > schema.max)) {
+    return { error: `must be ${integer ? 'an integer' : 'a number'}${describeRange(schema)}` };
+  }
+  return { value: number };
+}
+
+function parseString(value, schema) {
+  if (typeof value !== 'string') return { error: 'must be a string' };
+  const text = value.trim();
+  if (schema.required && !text) return { error: 'cannot be empty' };
+  if (schema.minLength !== undefined && text.length < schema.minLength) {
+    return { error: schema.minLength === 1 ? 'cannot be empty' : `must be at least ${schema.minLength} characters` };
+  }
+  if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+    return { error: `must be at most ${schema.maxLength} characters` };
+  }
+  if (schema.pattern && !schema.pattern.test(text)) return { error: schema.patternMessage || 'is not in the expected format' };
+  return { value };
+}
+
+function parseArray(value, schema, fromQuery) {
+  const list = fromQuery && typeof value === 'string'
+    ? value.split(',').map(item => item.trim()).filter(Boolean)
+    : value;
+  if (!Array.isArray(list)) return { error: 'must be an array' };
+  if (schema.minLength !== undefined && list.length < schema.minLength) return { error: `must have at least ${schema.minLength} items` };
+  if (schema.maxLength !== undefined && list.length > schema.maxLength) return { error: `must have at most ${schema.maxLength} items` };
+  if (schema.enum) {
+    const unknown = list.find(item => !schema.enum.includes(item));
+    if (unknown !== undefined) return { error: `must only contain: ${schema.enum.join(', ')}` };
+  }
+  if (!schema.items) return { value: list };
+
+  const parsed = [];
+  for (const [i, item] of list.entries()) {
+    const result = parseField(item, { ...schema.items, required: true }, fromQuery);
+    if (result.error) return { error: `item ${i + 1} ${result.error}` };
+    parsed.push(result.value);
+  }
+  return { value: parsed };
+}
+
+function parseValue(value, schema, fromQuery) {
+  switch (schema.type) {
+    case 'string':
+      return parseString(value, schema);
+    case 'integer':
+    case 'number':
+      return parseNumber(value, schema, fromQuery);
+    case 'boolean':
+      if (fromQuery && ['true', '1'].includes(value)) return { value: true };
+      if (fromQuery && ['false', '0'].includes(value)) return { value: false };
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value))
+        ? { value }
+        : { error: 'must be a date (YYYY-MM-DD)' };
+    case 'array':
+      return parseArray(value, schema, fromQuery);
+    case 'object':
+      return isPlainObject(value) ? { value } : { error: 'must be an object' };
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Check one value against its schema
+ *
+ * @returns {Object} - { value } or { error }
+ */
+export function parseField(value, schema, fromQuery = false) {
+  if (value === undefined || (fromQuery && value === '')) {
+    return schema.required ? { error: 'is required' } : { value: schema.default };
+  }
+  if (value === null || (value === '' && schema.nullable)) {
+    if (schema.nullable) return { value: null };
+    return { error: schema.required ? 'is required' : 'cannot be null' };
+  }
+
+  const result = parseValue(value, schema, fromQuery);
+  if (result.error) return result;
+  if (schema.enum && schema.type !== 'array' && !schema.enum.includes(result.value)) {
+    return { error: `must be one of: ${schema.enum.join(', ')}` };
+  }
+  const problem = schema.check?.(result.value);
+  return problem ? { error: problem } : result;
+}
+
+/**
+ * Middleware validating req.params, req.query and req.body against field schemas
+ *
+ * @param {Object} schemas - { params, query, body }: field name -> field schema
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const fields = {};
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      if (part === 'body' && !isPlainObject(req.body ?? {})) {
+        return next(validationError({ body: 'must be a JSON object' }));
+      }
+
+      const source = req[part] || {};
+      const parsed = { ...source };
+      for (const [name, schema] of Object.entries(schemas[part])) {
+        const result = parseField(source[name], schema, part !== 'body');
+        if (result.error) fields[name] = result.error;
+        else if (result.value === undefined) delete parsed[name];
+        else parsed[name] = result.value;
+      }
+      req[part] = parsed;
+    }
+
+    next(Object.keys(fields).length ? validationError(fields) : undefined);
+  };
+}
+
+export default { validate, parseField };
@@ -0,0 +1,146 @@
+import { Router } from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+import { ACTION_STATUSES } from '../services/actions.js';
+import { memberOf } from '../middleware/auth.js';
+import { notFound } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+// Overdue: still open or in progress, past its due date
+const OVERDUE_SQL = `a.status IN ('open', 'in_progress') AND a.due_date < date('now', 'localtime')`;
+
+function getAction(id) {
+  return db.prepare(`
+    SELECT a.*, d.decision_statement, ${OVERDUE_SQL} AS overdue
+    FROM actions a
+    LEFT JOIN decisions d ON a.decision_id = d.id
+    WHERE a.id = ?
+  `).get(id);
+}
+
+// Editable fields shared by POST and PATCH
+const ACTION_FIELDS = {
+  action: { type: 'string', minLength: 1, maxLength: 1000 },
+  owner: { type: 'string', nullable: true, maxLength: 100 },
+  due_date: { type: 'date', nullable: true },
+  status: { type: 'string', enum: ACTION_STATUSES }
+};
+
+// Every /:id route works on an action in one of the signed-in user's workspaces
+router.param('id', (req, res, next, id) => {
+  if (!db.prepare(`SELECT 1 FROM actions WHERE id = ? AND ${memberOf()}`).get(id, req.user.id)) {
+    return next(notFound('Action not found'));
+  }
+  next();
+});
+
+// List actions across the current workspace's sessions
+// ?status=open,in_progress  ?session_id=...  ?overdue=true
+router.get('/', validate({
+  query: {
+    status: { type: 'array', enum: ACTION_STATUSES },
+    session_id: { type: 'string' },
+    overdue: { type: 'boolean', default: false },
+    limit: { type: 'integer', min: 1, max: 500, default: 200 }
+  }
+}), (req, res) => {
+  const { status, session_id, overdue, limit } = req.query;
+
+  let query = `
+    SELECT a.*, d.decision_statement, ${OVERDUE_SQL} AS overdue
+    FROM actions a
+    LEFT JOIN decisions d ON a.decision_id = d.id
+    WHERE a.workspace_id = ?
+  `;
+  const params = [req.workspace.id];
+
+  if (status?.length) {
+    query += ` AND a.status IN (${status.map(() => '?').join(', ')})`;
+    params.push(...status);
+  }
+  if (session_id) {
+    query += ' AND a.session_id = ?';
+    params.push(session_id);
+  }
+  if (overdue) {
+    query += ` AND ${OVERDUE_SQL}`;
+  }
+
+  query += ' ORDER BY a.due_date IS NULL, a.due_date, a.created_at LIMIT ?';
+  params.push(limit);
+
+  res.json(db.prepare(query).all(...params));
+});
+
+// Create an action by hand
+router.post('/', validate({
+  body: {
+    ...ACTION_FIELDS,
+    session_id: { type: 'string', required: true },
+    decision_id: { type: 'string', nullable: true },
+    action: { ...ACTION_FIELDS.action, required: true },
+    status: { ...ACTION_FIELDS.status, default: 'open' }
+  }
+}), (req, res) => {
+  const { session_id, decision_id, action, owner, due_date, status } = req.body;
+
+  const session = db.prepare(`SELECT workspace_id FROM sessions WHERE id = ? AND ${memberOf()}`).get(session_id, req.user.id);
+  if (!session) throw notFound('Session not found');
+  if (decision_id && !db.prepare('SELECT 1 FROM decisions WHERE id = ? AND session_id = ?').get(decision_id, session_id)) {
+    throw notFound('Decision not found for this session');
+  }
+
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO actions (id, session_id, decision_id, action, owner, due_date, status, completed_at, owner_id, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'complete' THEN CURRENT_TIMESTAMP END, ?, ?)
+  `).run(
+    id,
+    session_id,
+    decision_id || db.prepare('SELECT id FROM decisions WHERE session_id = ?').get(session_id)?.id || null,
+    action.trim(),
+    owner || 'Chair',
+    due_date || null,
+    status,
+    status,
+    req.user.id,
+    session.workspace_id
+  );
+
+  res.status(201).json(getAction(id));
+});
+
+// Update an action (status changes, reschedule, reword)
+router.patch('/:id', validate({ body: ACTION_FIELDS }), (req, res) => {
+  const { action, owner, due_date, status } = req.body;
+
+  if (action !== undefined) {
+    db.prepare('UPDATE actions SET action = ? WHERE id = ?').run(action.trim(), req.params.id);
+  }
+  if (owner !== undefined) {
+    db.prepare('UPDATE actions SET owner = ? WHERE id = ?').run(owner || 'Chair', req.params.id);
+  }
+  if (due_date !== undefined) {
+    db.prepare('UPDATE actions SET due_date = ? WHERE id = ?').run(due_date || null, req.params.id);
+  }
+  if (status !== undefined) {
+    // completed_at tracks the latest completion; reopening clears it
+    db.prepare(`
+      UPDATE actions
+      SET status = ?, completed_at = CASE WHEN ? = 'complete' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) ELSE NULL END
+      WHERE id = ?
+    `).run(status, status, req.params.id);
+  }
+
+  res.json(getAction(req.params.id));
+});
+
+// Delete an action
+router.delete('/:id', (req, res) => {
+  db.prepare('DELETE FROM actions WHERE id = ?').run(req.params.id);
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import { Router } from 'express';
+import multer from 'multer';
+import {
+  exportDatabase, importDatabase, listSnapshots, createSnapshot, restoreSnapshot, deleteSnapshot,
+  IMPORT_MODES, CONFLICT_STRATEGIES
+} from '../services/backup.js';
+import { hasRunningJobs } from '../services/jobs.js';
+import { badRequest, notFound, conflict, asyncRoute } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+const MAX_ARCHIVE_BYTES = 500 * 1024 * 1024;
+
+// Archives with attachments outgrow the JSON body limit, so they can also come as a file upload
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_BYTES, files: 1 }
+}).single('archive');
+
+const RUNNING_ERROR = 'A board meeting is running; wait for it to finish before changing the database';
+
+// Download the whole database as a backup archive
+// ?attachments=0 leaves out the attachment files
+router.get('/export', validate({
+  query: { attachments: { type: 'boolean', default: true } }
+}), (req, res) => {
+  const archive = exportDatabase({ attachments: req.query.attachments });
+  const filename = `personal-board-backup-${archive.exported_at.slice(0, 10)}.json`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.json(archive);
+});
+
+// Import a backup archive, as a multipart "archive" file or as the JSON body
+// ?mode=merge|replace&conflict=skip|overwrite
+router.post('/import', upload, validate({
+  query: {
+    mode: { type: 'string', enum: IMPORT_MODES, default: 'merge' },
+    conflict: { type: 'string', enum: CONFLICT_STRATEGIES, default: 'skip' }
+  }
+}), asyncRoute(async (req, res) => {
+  if (hasRunningJobs()) throw conflict(RUNNING_ERROR);
+
+  let archive = req.body;
+  if (req.file) {
+    try {
+      archive = JSON.parse(req.file.buffer.toString('utf-8'));
+    } catch (error) {
+      throw badRequest('Archive is not valid JSON');
+    }
+  }
+
+  let result;
+  try {
+    result = await importDatabase(archive, { mode: req.query.mode, conflict: req.query.conflict });
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+  res.json(result);
+}));
+
+// Local snapshots, newest first
+router.get('/snapshots', (req, res) => {
+  res.json(listSnapshots());
+});
+
+// Take a snapshot now
+router.post('/snapshots', asyncRoute(async (req, res) => {
+  const snapshot = await createSnapshot('manual');
+  if (!snapshot) throw conflict('Database is not initialized');
+  res.status(201).json(snapshot);
+}));
+
+// Replace the database with a snapshot (the current state is snapshotted first)
+router.post('/snapshots/:name/restore', asyncRoute(async (req, res) => {
+  if (hasRunningJobs()) throw conflict(RUNNING_ERROR);
+
+  const result = await restoreSnapshot(req.params.name);
+  if (!result) throw notFound('Snapshot not found');
+  res.json(result);
+}));
+
+router.delete('/snapshots/:name', (req, res) => {
+  if (!deleteSnapshot(req.params.name)) throw notFound('Snapshot not found');
+  res.json({ success: true });
+});
+
+export default router;
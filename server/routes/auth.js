@@ -0,0 +1,97 @@
+import { Router } from 'express';
+import {
+  SESSION_COOKIE, SESSION_DAYS, validateCredentials, registrationOpen, createUser, authenticate,
+  createAuthSession, deleteAuthSession, selectWorkspace, getWorkspaces, getMemberWorkspace,
+  createApiToken, getApiTokens, deleteApiToken
+} from '../services/auth.js';
+import { requireAuth, readCookie } from '../middleware/auth.js';
+import {
+  badRequest, forbidden, notFound, conflict, unauthorized, validationError, asyncRoute
+} from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+const CREDENTIALS = {
+  username: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+// HttpOnly so page scripts can't read it; SameSite=Lax keeps other sites from posting with it
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+// Create an account and sign in. The first account is the server admin.
+router.post('/register', validate({ body: CREDENTIALS }), asyncRoute(async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!registrationOpen()) throw forbidden('Sign-up is closed on this server');
+  const problems = validateCredentials(username, password);
+  if (problems) throw validationError(problems);
+
+  const user = await createUser(username, password);
+  if (!user) throw conflict('That username is taken');
+
+  setSessionCookie(req, res, createAuthSession(user.id));
+  res.status(201).json({ user });
+}));
+
+router.post('/login', validate({ body: CREDENTIALS }), asyncRoute(async (req, res) => {
+  const user = await authenticate(req.body.username, req.body.password);
+  if (!user) throw unauthorized('Wrong username or password');
+
+  setSessionCookie(req, res, createAuthSession(user.id));
+  res.json({ user });
+}));
+
+router.post('/logout', (req, res) => {
+  deleteAuthSession(readCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
+
+// Whether the sign-in page should offer sign-up
+router.get('/status', (req, res) => {
+  res.json({ registration_open: registrationOpen() });
+});
+
+// The signed-in user, the current workspace and every workspace they belong to
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user, workspace: req.workspace, workspaces: getWorkspaces(req.user.id) });
+});
+
+// Switch the browser's current workspace (API tokens send X-Workspace-Id instead)
+router.put('/workspace', requireAuth, validate({ body: { workspace_id: { type: 'string', required: true } } }), (req, res) => {
+  if (!req.authSessionId) throw badRequest('API tokens pick a workspace with the X-Workspace-Id header');
+  const workspace = getMemberWorkspace(req.user.id, req.body.workspace_id);
+  if (!workspace) throw notFound('Workspace not found');
+
+  selectWorkspace(req.authSessionId, workspace.id);
+  res.json(workspace);
+});
+
+// API tokens for scripts
+router.get('/tokens', requireAuth, (req, res) => {
+  res.json(getApiTokens(req.user.id));
+});
+
+// The token is only shown in this response
+router.post('/tokens', requireAuth, validate({
+  body: { name: { type: 'string', required: true, maxLength: 100 } }
+}), (req, res) => {
+  res.status(201).json(createApiToken(req.user.id, req.body.name.trim()));
+});
+
+router.delete('/tokens/:id', requireAuth, (req, res) => {
+  if (!deleteApiToken(req.user.id, req.params.id)) throw notFound('Token not found');
+  res.json({ success: true });
+});
+
+export default router;
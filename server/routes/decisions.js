@@ -1,41 +1,174 @@
 import { Router } from 'express';
 import db from '../db/db.js';
+import { runRetrospective, planRetroBudget } from '../services/orchestrator.js';
+import { normalizeTag, setSessionTags } from '../services/search.js';
+import {
+  EXPORT_FORMATS, getDecisionLogExport, decisionLogBlocks, renderExport, exportFilename, exportHeaders
+} from '../services/export.js';
+import { stanceProblem, saveStances, getDecisionStances } from '../services/scorecards.js';
+import { memberOf } from '../middleware/auth.js';
+import { ApiError, badRequest, notFound, asyncRoute } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
 
 const router = Router();
 
-// Get all decisions
-router.get('/', (req, res) => {
-  const { tag, q, limit = 50 } = req.query;
+const ASSUMPTION_HELD = ['yes', 'partially', 'no', 'unknown'];
+
+// Every /:id route works on a decision in one of the signed-in user's workspaces
+router.param('id', (req, res, next, id) => {
+  if (!db.prepare(`SELECT 1 FROM decisions WHERE id = ? AND ${memberOf()}`).get(id, req.user.id)) {
+    return next(notFound('Decision not found'));
+  }
+  next();
+});
+
+// Get the current workspace's decisions
+// ?review=due lists decisions past their review date with no outcome yet, oldest first
+router.get('/', validate({
+  query: {
+    tag: { type: 'string' },
+    q: { type: 'string' },
+    review: { type: 'string', enum: ['due'] },
+    limit: { type: 'integer', min: 1, max: 1000, default: 50 }
+  }
+}), (req, res) => {
+  const { tag, q, review, limit } = req.query;
 
   let query = `
-    SELECT d.*, s.category
+    SELECT d.*, s.category,
+      (SELECT group_concat(t.tag, ',') FROM tags t WHERE t.session_id = d.session_id) AS tags
     FROM decisions d
     JOIN sessions s ON d.session_id = s.id
-    WHERE 1=1
+    WHERE d.workspace_id = ?
   `;
-  const params = [];
+  const params = [req.workspace.id];
+
+  if (tag) {
+    query += ' AND EXISTS (SELECT 1 FROM tags t WHERE t.session_id = d.session_id AND t.tag = ?)';
+    params.push(normalizeTag(tag));
+  }
 
   if (q) {
     query += ' AND (d.decision_statement LIKE ? OR d.rationale LIKE ?)';
     params.push(`%${q}%`, `%${q}%`);
   }
 
-  query += ' ORDER BY d.created_at DESC LIMIT ?';
-  params.push(parseInt(limit));
+  if (review === 'due') {
+    query += ` AND d.review_date <= date('now', 'localtime') AND d.reviewed_at IS NULL ORDER BY d.review_date ASC LIMIT ?`;
+  } else {
+    query += ' ORDER BY d.created_at DESC LIMIT ?';
+  }
+  params.push(limit);
 
   const decisions = db.prepare(query).all(...params);
-  res.json(decisions);
+  res.json(decisions.map(d => ({ ...d, tags: d.tags ? d.tags.split(',').sort() : [] })));
+});
+
+// Export the current workspace's Decision Log: ?format=md|html|json (default md), optionally ?tag= and ?category=
+router.get('/export', validate({
+  query: {
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'md' },
+    tag: { type: 'string' },
+    category: { type: 'string' },
+    download: { type: 'boolean', default: false }
+  }
+}), (req, res) => {
+  const { format, tag, category, download } = req.query;
+
+  const data = getDecisionLogExport({ tag, category, workspaceId: req.workspace.id });
+  res.set(exportHeaders(format, exportFilename('decision-log', data.exported_at, null, format), download));
+  res.send(renderExport(data, format, decisionLogBlocks, 'Decision Log'));
+});
+
+// Get decision by ID
+router.get('/:id', (req, res) => {
+  const decision = db.prepare(`
+    SELECT d.*, s.category,
+      (SELECT group_concat(t.tag, ',') FROM tags t WHERE t.session_id = d.session_id) AS tags
+    FROM decisions d
+    JOIN sessions s ON d.session_id = s.id
+    WHERE d.id = ?
+  `).get(req.params.id);
+  res.json({
+    ...decision,
+    tags: decision.tags ? decision.tags.split(',').sort() : [],
+    stances: getDecisionStances(req.params.id)
+  });
 });
 
-// Update decision outcome (retrospective)
-router.patch('/:id', (req, res) => {
-  const { outcome, retrospective } = req.body;
+// Update decision outcome (retrospective) or reschedule its review
+router.patch('/:id', validate({
+  body: {
+    outcome: { type: 'string', nullable: true },
+    retrospective: { type: 'string', nullable: true },
+    outcome_rating: { type: 'integer', min: 1, max: 5, nullable: true },
+    assumption_held: { type: 'string', enum: ASSUMPTION_HELD, nullable: true },
+    review_date: { type: 'date', nullable: true }
+  }
+}), (req, res) => {
+  const { outcome, retrospective, outcome_rating, assumption_held, review_date } = req.body;
 
-  db.prepare(`
-    UPDATE decisions SET outcome = ?, retrospective = ? WHERE id = ?
-  `).run(outcome, retrospective, req.params.id);
+  if (outcome !== undefined) {
+    // Recording an outcome completes the review
+    db.prepare(`
+      UPDATE decisions SET outcome = ?, reviewed_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = ?
+    `).run(outcome || null, outcome || null, req.params.id);
+  }
+  if (retrospective !== undefined) {
+    db.prepare('UPDATE decisions SET retrospective = ? WHERE id = ?').run(retrospective, req.params.id);
+  }
+  if (outcome_rating !== undefined) {
+    db.prepare('UPDATE decisions SET outcome_rating = ? WHERE id = ?').run(outcome_rating, req.params.id);
+  }
+  if (assumption_held !== undefined) {
+    db.prepare('UPDATE decisions SET assumption_held = ? WHERE id = ?').run(assumption_held || null, req.params.id);
+  }
+  if (review_date !== undefined) {
+    db.prepare('UPDATE decisions SET review_date = ? WHERE id = ?').run(review_date || null, req.params.id);
+  }
 
   res.json({ success: true });
 });
 
+// Replace a decision's tags (tags belong to the decision's session)
+router.put('/:id/tags', validate({
+  body: { tags: { type: 'array', required: true, maxLength: 20, items: { type: 'string', maxLength: 50 } } }
+}), (req, res) => {
+  const decision = db.prepare('SELECT session_id FROM decisions WHERE id = ?').get(req.params.id);
+
+  res.json({ tags: setSessionTags(decision.session_id, req.body.tags) });
+});
+
+// Record where board members stood on the decision, or judge whose view proved right
+// Body: { stances: [{ persona_id, stance?, proved_right? }] }; members not listed are left as they are
+router.put('/:id/stances', validate({
+  body: { stances: { type: 'array', required: true, items: { type: 'object', check: stanceProblem } } }
+}), (req, res) => {
+  try {
+    saveStances(req.params.id, req.body.stances);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+  res.json({ stances: getDecisionStances(req.params.id) });
+});
+
+// Retro board meeting: the Strategist compares the recommendation with the recorded outcome
+router.post('/:id/retro', asyncRoute(async (req, res) => {
+  const decision = db.prepare('SELECT outcome FROM decisions WHERE id = ?').get(req.params.id);
+  if (!decision.outcome) throw badRequest('Record the outcome before running a retro');
+
+  // Refuse up front if the retro won't fit the budget, as for board meetings
+  const budget = planRetroBudget(req.params.id);
+  if (!budget.allowed) throw new ApiError(402, 'budget_exceeded', budget.reason, { budget });
+
+  let retro;
+  try {
+    retro = await runRetrospective(req.params.id);
+  } catch (error) {
+    console.error('Retro error:', error);
+    throw new ApiError(502, 'llm_failed', `The Strategist could not run the retro: ${error.message}`);
+  }
+  res.json(retro);
+}));
+
 export default router;
@@ -1,35 +1,230 @@
 import { Router } from 'express';
 import db from '../db/db.js';
+import { REASONING_EFFORTS } from '../services/llm-client.js';
+import { PROVIDERS } from '../services/providers/index.js';
+import { getPersona, getWorkspacePersonas, setPersonaActive, SECRETARY_ID, STRATEGIST_ID } from '../services/personas.js';
+import { previewPersonaPrompt } from '../services/orchestrator.js';
+import { getScorecard } from '../services/scorecards.js';
+import { memberOf } from '../middleware/auth.js';
+import { notFound, forbidden, conflict, badRequest, validationError } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
 
 const router = Router();
 
-// Get all personas
-router.get('/', (req, res) => {
-  const personas = db.prepare('SELECT * FROM personas WHERE is_active = 1').all();
-  res.json(personas);
+// The Secretary and Strategist run Phases 1 and 3, so they can be edited but not deleted
+const OFFICER_IDS = [SECRETARY_ID, STRATEGIST_ID];
+
+function slugify(text) {
+  return String(text).toLowerCase().trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Accept output_schema as an object or a JSON string; store it as a string
+function normalizeSchema(schema) {
+  if (schema === null || schema === '') return null;
+  const parsed = typeof schema === 'string' ? JSON.parse(schema) : schema;
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('output_schema must be a JSON object');
+  }
+  return JSON.stringify(parsed);
+}
+
+// Editable fields shared by POST, PATCH and the preview
+const PERSONA_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  role: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', nullable: true },
+  system_prompt: { type: 'string', minLength: 1 },
+  output_schema: {
+    type: 'any',
+    nullable: true,
+    check: (schema) => {
+      try {
+        normalizeSchema(schema);
+        return null;
+      } catch (error) {
+        return error instanceof SyntaxError ? `is not valid JSON: ${error.message}` : 'must be a JSON object';
+      }
+    }
+  },
+  reasoning_effort: { type: 'string', enum: REASONING_EFFORTS, nullable: true },
+  provider: { type: 'string', enum: PROVIDERS, nullable: true },
+  model: { type: 'string', nullable: true },
+  is_active: { type: 'boolean' }
+};
+
+// Personas a user can see: the default board, and those of their workspaces
+const VISIBLE = `(workspace_id IS NULL OR ${memberOf()})`;
+
+function getVisiblePersona(req, id) {
+  return db.prepare(`SELECT * FROM personas WHERE id = ? AND ${VISIBLE}`).get(id, req.user.id);
+}
+
+// Switching a persona on or off is up to each workspace, so any member may do it
+function onlyActivation(req) {
+  return req.method === 'PATCH' && Object.keys(req.body || {}).every(key => key === 'is_active');
+}
+
+// Every /:id route works on a visible persona; only the admin changes the default board
+router.param('id', (req, res, next, id) => {
+  const persona = getVisiblePersona(req, id);
+  if (!persona) return next(notFound('Persona not found'));
+  if (req.method !== 'GET' && persona.workspace_id === null && !req.user.is_admin && !onlyActivation(req)) {
+    return next(forbidden('Only the server admin can change the default board; clone the persona to customize it'));
+  }
+  next();
+});
+
+// Get the current workspace's board: the default personas plus its own (active only, unless ?all=true)
+router.get('/', validate({ query: { all: { type: 'boolean', default: false } } }), (req, res) => {
+  res.json(getWorkspacePersonas(req.workspace.id, { activeOnly: !req.query.all }));
+});
+
+// Preview the prompt a persona would receive, using unsaved editor fields
+router.post('/preview', validate({
+  body: { ...PERSONA_FIELDS, id: { type: 'string', nullable: true }, session_id: { type: 'string', nullable: true } }
+}), (req, res) => {
+  const { id, session_id, system_prompt, output_schema, reasoning_effort, provider, model } = req.body;
+
+  const saved = id && getVisiblePersona(req, id) ? getPersona(id, req.workspace.id) : null;
+  if (session_id && !db.prepare(`SELECT 1 FROM sessions WHERE id = ? AND ${memberOf()}`).get(session_id, req.user.id)) {
+    throw notFound('Session not found');
+  }
+  const persona = {
+    id: id || 'preview',
+    system_prompt: system_prompt ?? saved?.system_prompt ?? '',
+    output_schema: output_schema !== undefined
+      ? JSON.parse(normalizeSchema(output_schema) || 'null')
+      : saved?.output_schema ?? null,
+    reasoning_effort: reasoning_effort !== undefined ? reasoning_effort : saved?.reasoning_effort,
+    provider: provider !== undefined ? provider : saved?.provider,
+    model: model !== undefined ? model : saved?.model
+  };
+
+  res.json(previewPersonaPrompt(persona, session_id, req.workspace.id));
 });
 
-// Get persona by ID
+// Get persona by ID, active or not on the current workspace's board
 router.get('/:id', (req, res) => {
   const persona = db.prepare('SELECT * FROM personas WHERE id = ?').get(req.params.id);
-  if (!persona) return res.status(404).json({ error: 'Persona not found' });
-  res.json(persona);
+  const own = db.prepare('SELECT is_active FROM workspace_personas WHERE workspace_id = ? AND persona_id = ?')
+    .get(req.workspace.id, req.params.id);
+  res.json({ ...persona, ...own });
+});
+
+// Persona's track record on the current workspace's decisions: hit rate, calibration by confidence, per category
+router.get('/:id/scorecard', (req, res) => {
+  res.json(getScorecard(req.params.id, req.workspace.id));
+});
+
+// Create a persona on the current workspace's board (optionally cloned from an existing one)
+router.post('/', validate({
+  body: { ...PERSONA_FIELDS, id: { type: 'string' }, clone_from: { type: 'string' } }
+}), (req, res) => {
+  const { clone_from, ...fields } = req.body;
+
+  let source = {};
+  if (clone_from) {
+    source = getVisiblePersona(req, clone_from);
+    if (!source) throw notFound('Persona to clone not found');
+  }
+
+  const persona = {
+    name: fields.name ?? (clone_from ? `${source.name} (Copy)` : undefined),
+    role: fields.role ?? source.role,
+    description: fields.description ?? source.description ?? null,
+    system_prompt: fields.system_prompt ?? source.system_prompt,
+    output_schema: fields.output_schema !== undefined ? fields.output_schema : source.output_schema ?? null,
+    reasoning_effort: fields.reasoning_effort !== undefined ? fields.reasoning_effort : source.reasoning_effort ?? null,
+    provider: fields.provider !== undefined ? fields.provider : source.provider ?? null,
+    model: fields.model !== undefined ? fields.model : source.model ?? null,
+    is_active: fields.is_active ?? true
+  };
+
+  const missing = ['name', 'role', 'system_prompt'].filter(key => !persona[key]);
+  if (missing.length) throw validationError(Object.fromEntries(missing.map(key => [key, 'is required'])));
+
+  const slug = slugify(fields.id || persona.name);
+  if (!slug) throw badRequest('id must contain letters or numbers');
+  const taken = (candidate) => db.prepare('SELECT 1 FROM personas WHERE id = ?').get(candidate);
+  if (fields.id && taken(slug)) throw conflict(`Persona "${slug}" already exists`);
+  // Ids are shared by every workspace, so a name already used elsewhere gets a number
+  let id = slug;
+  for (let n = 2; taken(id); n++) id = `${slug}-${n}`;
+
+  db.prepare(`
+    INSERT INTO personas (id, name, role, description, system_prompt, output_schema, reasoning_effort, provider, model, is_active, owner_id, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    persona.name,
+    persona.role,
+    persona.description,
+    persona.system_prompt,
+    normalizeSchema(persona.output_schema),
+    persona.reasoning_effort || null,
+    persona.provider || null,
+    persona.model || null,
+    persona.is_active ? 1 : 0,
+    req.user.id,
+    req.workspace.id
+  );
+
+  res.status(201).json(db.prepare('SELECT * FROM personas WHERE id = ?').get(id));
 });
 
-// Update persona
-router.patch('/:id', (req, res) => {
-  const { system_prompt, output_schema, is_active } = req.body;
+// Update persona; is_active applies to the current workspace's board only
+router.patch('/:id', validate({ body: PERSONA_FIELDS }), (req, res) => {
+  const { name, role, description, system_prompt, output_schema, reasoning_effort, provider, model, is_active } = req.body;
 
+  if (name !== undefined) {
+    db.prepare('UPDATE personas SET name = ? WHERE id = ?').run(name, req.params.id);
+  }
+  if (role !== undefined) {
+    db.prepare('UPDATE personas SET role = ? WHERE id = ?').run(role, req.params.id);
+  }
+  if (description !== undefined) {
+    db.prepare('UPDATE personas SET description = ? WHERE id = ?').run(description, req.params.id);
+  }
   if (system_prompt !== undefined) {
     db.prepare('UPDATE personas SET system_prompt = ? WHERE id = ?').run(system_prompt, req.params.id);
   }
   if (output_schema !== undefined) {
-    db.prepare('UPDATE personas SET output_schema = ? WHERE id = ?').run(output_schema, req.params.id);
+    db.prepare('UPDATE personas SET output_schema = ? WHERE id = ?').run(normalizeSchema(output_schema), req.params.id);
+  }
+  if (reasoning_effort !== undefined) {
+    db.prepare('UPDATE personas SET reasoning_effort = ? WHERE id = ?').run(reasoning_effort || null, req.params.id);
+  }
+  if (provider !== undefined) {
+    db.prepare('UPDATE personas SET provider = ? WHERE id = ?').run(provider || null, req.params.id);
+  }
+  if (model !== undefined) {
+    db.prepare('UPDATE personas SET model = ? WHERE id = ?').run(model || null, req.params.id);
   }
   if (is_active !== undefined) {
-    db.prepare('UPDATE personas SET is_active = ? WHERE id = ?').run(is_active ? 1 : 0, req.params.id);
+    setPersonaActive(req.params.id, req.workspace.id, is_active);
+  }
+
+  res.json({ success: true });
+});
+
+// Delete persona
+router.delete('/:id', (req, res) => {
+  const { id } = req.params;
+
+  if (OFFICER_IDS.includes(id)) {
+    throw badRequest('The Secretary and Strategist cannot be deleted; edit them instead');
+  }
+  // Past responses reference the persona, so keep it and let the Chair deactivate it
+  if (db.prepare('SELECT 1 FROM responses WHERE persona_id = ? LIMIT 1').get(id)) {
+    throw conflict('Persona has responses in past sessions; deactivate it instead');
   }
 
+  db.transaction(() => {
+    db.prepare('DELETE FROM workspace_personas WHERE persona_id = ?').run(id);
+    db.prepare('DELETE FROM personas WHERE id = ?').run(id);
+  })();
   res.json({ success: true });
 });
 
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import { search, getAllTags, SEARCH_SOURCES } from '../services/search.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+// Full-text search over the current workspace's memos, persona responses and decisions, with facets
+// ?q=...&category=&tag=&status=&confidence=&source=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=
+router.get('/', validate({
+  query: {
+    q: { type: 'string', maxLength: 500 },
+    category: { type: 'string' },
+    tag: { type: 'string' },
+    status: { type: 'string' },
+    confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+    source: { type: 'string', enum: SEARCH_SOURCES },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 }
+  }
+}), (req, res) => {
+  const { q, category, tag, status, confidence, source, from, to, limit } = req.query;
+
+  res.json(search({ q, workspace: req.workspace.id, category, tag, status, confidence, source, from, to, limit }));
+});
+
+// All tags in use in the current workspace, most used first
+router.get('/tags', (req, res) => {
+  res.json(getAllTags(req.workspace.id));
+});
+
+export default router;
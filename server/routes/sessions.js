@@ -1,105 +1,417 @@
 import { Router } from 'express';
+import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import db from '../db/db.js';
-import { runBoardMeeting } from '../services/orchestrator.js';
+import { startMeetingJob, getJob, subscribe } from '../services/jobs.js';
+import { planMeetingBudget, MAX_DEBATE_ROUNDS } from '../services/orchestrator.js';
+import { createActionsFromSynthesis } from '../services/actions.js';
+import { getSessionTags, setSessionTags } from '../services/search.js';
+import {
+  MAX_ATTACHMENT_BYTES, storeAttachment, attachmentFilePath, deleteAttachmentFile, describeAttachment
+} from '../services/attachments.js';
+import {
+  memoLockReason, saveMemo, setMemoAttachments, getMemoRevisions, getRuns, getRunResponses, getResumableRun, forkSession
+} from '../services/revisions.js';
+import {
+  EXPORT_FORMATS, getSessionExport, sessionBlocks, renderExport, exportFilename, exportHeaders
+} from '../services/export.js';
+import { getRunPrecedents } from '../services/precedents.js';
+import { stanceProblem, saveStances } from '../services/scorecards.js';
+import { getSessionTemplate, fillTemplateFields } from '../services/templates.js';
+import { memberOf } from '../middleware/auth.js';
+import { ApiError, badRequest, notFound, conflict, validationError, asyncRoute } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
 
 const router = Router();
 
-// Create new session
-router.post('/', (req, res) => {
+const MAX_FILES_PER_UPLOAD = 10;
+
+const SESSION_STATUSES = ['draft', 'running', 'needs_info', 'complete', 'failed', 'archived'];
+
+const TAGS = { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 50 } };
+const TEXT_LIST = { type: 'array', items: { type: 'string' } };
+
+const MEMO_BODY = {
+  decision_required: { type: 'string', required: true, maxLength: 2000 },
+  context: TEXT_LIST,
+  options: {
+    type: 'array',
+    items: {
+      type: 'any',
+      check: (option) => typeof option === 'string' || (typeof option === 'object' && !Array.isArray(option))
+        ? null
+        : 'must be a string or an object'
+    }
+  },
+  constraints: { type: 'object' },
+  success_metrics: TEXT_LIST,
+  questions_for_board: TEXT_LIST,
+  // Values for the session template's fields: { key: value }
+  template_fields: { type: 'object' },
+  tags: TAGS
+};
+
+const DECISION_BODY = {
+  decision_statement: { type: 'string', required: true },
+  rationale: { type: 'string', nullable: true },
+  execution_guardrails: { type: 'array' },
+  pre_mortem: { type: 'object', nullable: true },
+  assumption_to_test: { type: 'string', nullable: true },
+  review_date: { type: 'date', nullable: true },
+  // Where each board member stood on the decision: [{ persona_id, stance }]
+  stances: { type: 'array', items: { type: 'object', check: stanceProblem } }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_FILES_PER_UPLOAD }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+// Meeting responses are per run; ?run= picks one by number
+const RUN_QUERY = { run: { type: 'integer', min: 1 } };
+
+function getMemoAttachments(sessionId) {
+  const memo = db.prepare('SELECT id, attachments FROM memos WHERE session_id = ?').get(sessionId);
+  return memo ? { memo, attachments: JSON.parse(memo.attachments || '[]') } : null;
+}
+
+// Every /:id route works on a session in one of the signed-in user's workspaces
+router.param('id', (req, res, next, id) => {
+  if (!db.prepare(`SELECT 1 FROM sessions WHERE id = ? AND ${memberOf()}`).get(id, req.user.id)) {
+    return next(notFound('Session not found'));
+  }
+  next();
+});
+
+// Create new session in the current workspace; the category is the id of a memo template it can use
+router.post('/', validate({
+  body: { category: { type: 'string', default: 'project' } }
+}), (req, res) => {
   const id = uuidv4();
   const { category } = req.body;
 
+  if (!db.prepare('SELECT 1 FROM memo_templates WHERE id = ? AND (workspace_id IS NULL OR workspace_id = ?)').get(category, req.workspace.id)) {
+    throw validationError({ category: 'is not a memo template in this workspace' });
+  }
+
   db.prepare(`
-    INSERT INTO sessions (id, category, status)
-    VALUES (?, ?, 'draft')
-  `).run(id, category || 'project');
+    INSERT INTO sessions (id, category, status, owner_id, workspace_id)
+    VALUES (?, ?, 'draft', ?, ?)
+  `).run(id, category, req.user.id, req.workspace.id);
 
-  res.json({ id, status: 'draft', category });
+  res.status(201).json({ id, status: 'draft', category, workspace_id: req.workspace.id });
 });
 
 // Get session by ID
-router.get('/:id', (req, res) => {
+// Responses are from the latest run unless ?run=<run_number> picks an earlier one
+router.get('/:id', validate({ query: RUN_QUERY }), (req, res) => {
   const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(req.params.id);
-  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const selected = getRunResponses(req.params.id, req.query.run);
+  if (!selected) throw notFound('Run not found');
+  const { run, responses } = selected;
+  const runs = getRuns(req.params.id);
 
   const memo = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(req.params.id);
-  const responses = db.prepare('SELECT * FROM responses WHERE session_id = ?').all(req.params.id);
+  // Extracted attachment text stays server-side; it can run to hundreds of KB
+  if (memo) memo.attachments = JSON.stringify(JSON.parse(memo.attachments || '[]').map(describeAttachment));
   const decision = db.prepare('SELECT * FROM decisions WHERE session_id = ?').get(req.params.id);
-  const actions = db.prepare('SELECT * FROM actions WHERE session_id = ?').all(req.params.id);
+  const actions = db.prepare('SELECT * FROM actions WHERE session_id = ? ORDER BY due_date IS NULL, due_date, created_at').all(req.params.id);
 
-  res.json({ session, memo, responses, decision, actions });
+  const forks = db.prepare('SELECT id, status, created_at FROM sessions WHERE forked_from = ? ORDER BY created_at').all(req.params.id);
+
+  res.json({
+    session, memo, responses, decision, actions,
+    tags: getSessionTags(req.params.id),
+    runs,
+    run,
+    precedents: run ? getRunPrecedents(run.id) : [],
+    forks
+  });
 });
 
-// Save memo to session
-router.post('/:id/memo', (req, res) => {
+// Refuse a memo change up front; saveMemo and setMemoAttachments check again
+function assertMemoEditable(sessionId) {
+  const reason = memoLockReason(sessionId);
+  if (reason) throw conflict(reason);
+}
+
+// Save memo to session (optionally with its tags)
+// Each change is kept as a new revision. Attachments are only added and removed
+// through the attachment routes, so the memo keeps the ones it has
+router.post('/:id/memo', validate({ body: MEMO_BODY }), (req, res) => {
   const { id } = req.params;
   const memo = req.body;
-  const memoId = uuidv4();
 
-  // Delete existing memo if any
-  db.prepare('DELETE FROM memos WHERE session_id = ?').run(id);
+  assertMemoEditable(id);
 
-  db.prepare(`
-    INSERT INTO memos (id, session_id, context, decision_required, options, constraints, success_metrics, questions_for_board, attachments)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    memoId,
-    id,
-    JSON.stringify(memo.context || []),
-    memo.decision_required,
-    JSON.stringify(memo.options || []),
-    JSON.stringify(memo.constraints || {}),
-    JSON.stringify(memo.success_metrics || []),
-    JSON.stringify(memo.questions_for_board || []),
-    JSON.stringify(memo.attachments || [])
-  );
-
-  res.json({ id: memoId, session_id: id });
+  // Kept with the template's labels, so the memo reads the same if the template changes later
+  const { fields, problems } = fillTemplateFields(getSessionTemplate(id), memo.template_fields);
+  if (Object.keys(problems).length) {
+    throw validationError(Object.fromEntries(Object.entries(problems).map(([key, problem]) => [`template_fields.${key}`, problem])));
+  }
+
+  let saved;
+  try {
+    saved = saveMemo(id, {
+      ...memo,
+      template_fields: fields,
+      attachments: getMemoAttachments(id)?.attachments ?? []
+    });
+  } catch (error) {
+    throw conflict(error.message);
+  }
+
+  if (memo.tags) setSessionTags(id, memo.tags);
+
+  res.json({ id: saved.id, session_id: id, version: saved.version, changed: saved.changed });
 });
 
-// Run the board meeting
-router.post('/:id/run', async (req, res) => {
+// Export the meeting as a document: ?format=md|html|json (default md), ?run=<run_number>
+// HTML opens ready to print to PDF; pass ?download=1 to save it instead
+router.get('/:id/export', validate({
+  query: {
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'md' },
+    download: { type: 'boolean', default: false },
+    ...RUN_QUERY
+  }
+}), (req, res) => {
+  const { format } = req.query;
+
+  const data = getSessionExport(req.params.id, { run: req.query.run });
+  if (!data) throw notFound('Run not found');
+
+  const subject = data.memo?.decision_required;
+  res.set(exportHeaders(format, exportFilename('board-meeting', data.session.created_at, subject, format), req.query.download));
+  res.send(renderExport(data, format, sessionBlocks, `Board Meeting: ${subject || 'Untitled'}`));
+});
+
+// Every revision of the session's memo, oldest first
+router.get('/:id/revisions', (req, res) => {
+  res.json(getMemoRevisions(req.params.id));
+});
+
+// Copy the memo, attachments and tags into a new draft session for a what-if variant
+router.post('/:id/fork', (req, res) => {
+  const forkId = forkSession(req.params.id, req.user.id);
+  if (!forkId) throw notFound('Session not found');
+
+  res.status(201).json({ id: forkId, status: 'draft', forked_from: req.params.id });
+});
+
+// Upload files (multipart field "files") to the session's memo
+// Text is extracted now so each meeting reads an excerpt, not the file
+router.post('/:id/attachments', upload, asyncRoute(async (req, res) => {
+  const current = getMemoAttachments(req.params.id);
+  if (!current) throw notFound('No memo found for session; save the memo first');
+  assertMemoEditable(req.params.id);
+  if (!req.files?.length) throw badRequest('No files uploaded');
+
+  const added = [];
+  try {
+    for (const file of req.files) {
+      added.push(await storeAttachment(req.params.id, file));
+    }
+  } catch (error) {
+    for (const attachment of added) deleteAttachmentFile(req.params.id, attachment);
+    throw badRequest(error.message);
+  }
+
   try {
-    const result = await runBoardMeeting(req.params.id);
-    res.json(result);
+    setMemoAttachments(req.params.id, [...current.attachments, ...added]);
   } catch (error) {
-    console.error('Board meeting error:', error);
-    res.status(500).json({ error: error.message });
+    // The board started meeting while the files were read
+    for (const attachment of added) deleteAttachmentFile(req.params.id, attachment);
+    throw conflict(error.message);
   }
+
+  res.status(201).json(added.map(describeAttachment));
+}));
+
+// Download an attachment's original file (from any memo revision)
+router.get('/:id/attachments/:attachmentId', (req, res, next) => {
+  const revisions = db.prepare('SELECT attachments FROM memo_revisions WHERE session_id = ? ORDER BY version DESC').all(req.params.id);
+  const attachment = [getMemoAttachments(req.params.id)?.attachments || [], ...revisions.map(r => JSON.parse(r.attachments || '[]'))]
+    .flat()
+    .find(a => a.id === req.params.attachmentId);
+  if (!attachment) throw notFound('Attachment not found');
+  const path = attachmentFilePath(req.params.id, attachment);
+  if (!path) throw notFound('Attachment file is missing');
+
+  res.download(path, attachment.filename, (error) => {
+    if (error && !res.headersSent) next(notFound('Attachment file is missing'));
+  });
+});
+
+// Remove an attachment from the memo and delete its file
+router.delete('/:id/attachments/:attachmentId', (req, res) => {
+  const current = getMemoAttachments(req.params.id);
+  const attachment = current?.attachments.find(a => a.id === req.params.attachmentId);
+  if (!attachment) throw notFound('Attachment not found');
+  assertMemoEditable(req.params.id);
+
+  try {
+    setMemoAttachments(req.params.id, current.attachments.filter(a => a.id !== attachment.id));
+  } catch (error) {
+    throw conflict(error.message);
+  }
+  // Earlier revisions may still list the file
+  if (!db.prepare('SELECT 1 FROM memo_revisions WHERE session_id = ? AND attachments LIKE ?').get(req.params.id, `%${attachment.id}%`)) {
+    deleteAttachmentFile(req.params.id, attachment);
+  }
+
+  res.json({ success: true });
+});
+
+// Replace a session's tags
+router.put('/:id/tags', validate({ body: { tags: { ...TAGS, required: true } } }), (req, res) => {
+  res.json({ tags: setSessionTags(req.params.id, req.body.tags) });
+});
+
+// Run the board meeting in the background; follow progress on GET /:id/events
+// Pass { proceed_with_gaps: true } to convene the board despite missing information,
+// { debate_rounds: n } to add rebuttal rounds after the first pass, and
+// { bypass_cache: true } to ask every persona afresh rather than reuse cached replies
+router.post('/:id/run', validate({
+  body: {
+    proceed_with_gaps: { type: 'boolean', default: false },
+    debate_rounds: { type: 'integer', min: 1, max: MAX_DEBATE_ROUNDS, nullable: true },
+    bypass_cache: { type: 'boolean', default: false }
+  }
+}), (req, res) => {
+  const { proceed_with_gaps, debate_rounds, bypass_cache } = req.body;
+  if (!db.prepare('SELECT 1 FROM memos WHERE session_id = ?').get(req.params.id)) {
+    throw conflict('Save a memo before convening the board');
+  }
+
+  // Refuse up front if the meeting won't fit the budget, rather than failing in the background
+  const budget = planMeetingBudget(req.params.id, { debateRounds: debate_rounds });
+  if (!budget.allowed) throw new ApiError(402, 'budget_exceeded', budget.reason, { budget });
+
+  let job;
+  try {
+    job = startMeetingJob(req.params.id, {
+      proceedWithGaps: proceed_with_gaps, debateRounds: debate_rounds, bypassCache: bypass_cache
+    });
+  } catch (error) {
+    throw conflict(error.message);
+  }
+  res.status(202).json({ job_id: job.id, session_id: req.params.id, status: job.status });
+});
+
+// Resume a failed board meeting: its run continues with the responses it already
+// has, and only the personas that failed or never answered are asked again
+router.post('/:id/resume', validate({
+  body: { bypass_cache: { type: 'boolean', default: false } }
+}), (req, res) => {
+  const session = db.prepare('SELECT status FROM sessions WHERE id = ?').get(req.params.id);
+  if (session.status !== 'failed') throw conflict('Only a failed board meeting can be resumed');
+  const run = getResumableRun(req.params.id);
+  if (!run) throw conflict('The memo has changed since the meeting failed; convene the board again');
+
+  const budget = planMeetingBudget(req.params.id, { debateRounds: run.debate_rounds });
+  if (!budget.allowed) throw new ApiError(402, 'budget_exceeded', budget.reason, { budget });
+
+  let job;
+  try {
+    job = startMeetingJob(req.params.id, { resume: true, bypassCache: req.body.bypass_cache });
+  } catch (error) {
+    throw conflict(error.message);
+  }
+  res.status(202).json({ job_id: job.id, session_id: req.params.id, status: job.status });
+});
+
+// Stream board meeting progress as Server-Sent Events
+// Replays events the client missed (Last-Event-ID), then streams live until the job ends
+router.get('/:id/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  const job = getJob(req.params.id);
+  if (!job) {
+    const session = db.prepare('SELECT status FROM sessions WHERE id = ?').get(req.params.id);
+    res.write(`event: idle\ndata: ${JSON.stringify({ status: session?.status || null })}\n\n`);
+    return res.end();
+  }
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  const unsubscribe = subscribe(job, lastEventId, (event) => {
+    send(event);
+    if (event.type === 'end') res.end();
+  });
+
+  // Keep proxies from closing an idle stream during long reasoning calls
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
 // Finalize decision
-router.post('/:id/decision', (req, res) => {
+// The Strategist's next_actions become tracked actions, and the board members' stances are recorded
+router.post('/:id/decision', validate({ body: DECISION_BODY }), (req, res) => {
   const { id } = req.params;
   const decision = req.body;
   const decisionId = uuidv4();
 
-  db.prepare(`
-    INSERT INTO decisions (id, session_id, decision_statement, rationale, execution_guardrails, pre_mortem, assumption_to_test, review_date)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    decisionId,
-    id,
-    decision.decision_statement,
-    decision.rationale,
-    JSON.stringify(decision.execution_guardrails || []),
-    JSON.stringify(decision.pre_mortem || {}),
-    decision.assumption_to_test,
-    decision.review_date
-  );
-
-  // Update session status
-  db.prepare(`UPDATE sessions SET status = 'complete', completed_at = CURRENT_TIMESTAMP WHERE id = ?`).run(id);
-
-  res.json({ id: decisionId, session_id: id });
+  if (db.prepare('SELECT 1 FROM decisions WHERE session_id = ?').get(id)) {
+    throw conflict('Decision already finalized for this session');
+  }
+
+  const actionsCreated = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO decisions (id, session_id, decision_statement, rationale, execution_guardrails, pre_mortem, assumption_to_test, review_date, owner_id, workspace_id, run_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT workspace_id FROM sessions WHERE id = ?),
+        (SELECT id FROM runs WHERE session_id = ? ORDER BY run_number DESC LIMIT 1))
+    `).run(
+      decisionId,
+      id,
+      decision.decision_statement.trim(),
+      decision.rationale ?? null,
+      JSON.stringify(decision.execution_guardrails || []),
+      JSON.stringify(decision.pre_mortem || {}),
+      decision.assumption_to_test ?? null,
+      decision.review_date ?? null,
+      req.user.id,
+      id,
+      id
+    );
+
+    // Update session status
+    db.prepare(`UPDATE sessions SET status = 'complete', completed_at = CURRENT_TIMESTAMP WHERE id = ?`).run(id);
+
+    try {
+      saveStances(decisionId, decision.stances);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+
+    return createActionsFromSynthesis(id, decisionId);
+  })();
+
+  res.status(201).json({ id: decisionId, session_id: id, actions_created: actionsCreated });
 });
 
-// List all sessions
-router.get('/', (req, res) => {
-  const { status, category, limit = 20 } = req.query;
-  let query = 'SELECT * FROM sessions WHERE 1=1';
-  const params = [];
+// List the current workspace's sessions
+router.get('/', validate({
+  query: {
+    status: { type: 'string', enum: SESSION_STATUSES },
+    category: { type: 'string' },
+    limit: { type: 'integer', min: 1, max: 100, default: 20 }
+  }
+}), (req, res) => {
+  const { status, category, limit } = req.query;
+  let query = 'SELECT * FROM sessions WHERE workspace_id = ?';
+  const params = [req.workspace.id];
 
   if (status) {
     query += ' AND status = ?';
@@ -111,7 +423,7 @@ router.get('/', (req, res) => {
   }
 
   query += ' ORDER BY created_at DESC LIMIT ?';
-  params.push(parseInt(limit));
+  params.push(limit);
 
   const sessions = db.prepare(query).all(...params);
   res.json(sessions);
@@ -0,0 +1,124 @@
+import { Router } from 'express';
+import db from '../db/db.js';
+import {
+  getTemplate, listTemplates, templateFieldsProblem, promptAddendaProblem, toTemplateRow
+} from '../services/templates.js';
+import { memberOf } from '../middleware/auth.js';
+import { notFound, forbidden, conflict, badRequest, validationError } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+function slugify(text) {
+  return String(text).toLowerCase().trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Editable fields shared by POST and PATCH
+const TEMPLATE_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', nullable: true },
+  fields: { type: 'array', maxLength: 20, check: templateFieldsProblem },
+  prompt_addenda: { type: 'object', check: promptAddendaProblem }
+};
+
+// Templates a user can see: the defaults, and those of their workspaces
+const VISIBLE = `(workspace_id IS NULL OR ${memberOf()})`;
+
+function getVisibleTemplate(req, id) {
+  return db.prepare(`SELECT id FROM memo_templates WHERE id = ? AND ${VISIBLE}`).get(id, req.user.id) && getTemplate(id);
+}
+
+// Every /:id route works on a visible template; only the admin changes the defaults
+router.param('id', (req, res, next, id) => {
+  const template = getVisibleTemplate(req, id);
+  if (!template) return next(notFound('Template not found'));
+  if (req.method !== 'GET' && template.workspace_id === null && !req.user.is_admin) {
+    return next(forbidden('Only the server admin can change the default templates; clone the template to customize it'));
+  }
+  next();
+});
+
+// Templates the current workspace can start a memo from: the defaults plus its own
+router.get('/', (req, res) => {
+  res.json(listTemplates(req.workspace.id));
+});
+
+// Get template by ID
+router.get('/:id', (req, res) => {
+  res.json(getTemplate(req.params.id));
+});
+
+// Create a template in the current workspace (optionally cloned from an existing one)
+router.post('/', validate({
+  body: { ...TEMPLATE_FIELDS, id: { type: 'string' }, clone_from: { type: 'string' } }
+}), (req, res) => {
+  const { clone_from, ...fields } = req.body;
+
+  let source = {};
+  if (clone_from) {
+    source = getVisibleTemplate(req, clone_from);
+    if (!source) throw notFound('Template to clone not found');
+  }
+
+  const template = {
+    name: fields.name ?? (clone_from ? `${source.name} (Copy)` : undefined),
+    description: fields.description ?? source.description ?? null,
+    fields: fields.fields ?? source.fields ?? [],
+    prompt_addenda: fields.prompt_addenda ?? source.prompt_addenda ?? {}
+  };
+  if (!template.name) throw validationError({ name: 'is required' });
+
+  // The id is the category sessions store, so it stays fixed once created
+  const slug = slugify(fields.id || template.name);
+  if (!slug) throw badRequest('id must contain letters or numbers');
+  const taken = (candidate) => db.prepare('SELECT 1 FROM memo_templates WHERE id = ?').get(candidate);
+  if (fields.id && taken(slug)) throw conflict(`Template "${slug}" already exists`);
+  // Ids are shared by every workspace, so a name already used elsewhere gets a number
+  let id = slug;
+  for (let n = 2; taken(id); n++) id = `${slug}-${n}`;
+
+  const row = toTemplateRow(template);
+  db.prepare(`
+    INSERT INTO memo_templates (id, name, description, fields, prompt_addenda, owner_id, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, template.name, template.description, row.fields, row.prompt_addenda, req.user.id, req.workspace.id);
+
+  res.status(201).json(getTemplate(id));
+});
+
+// Update template. Memos already written keep the fields as they were filled in
+router.patch('/:id', validate({ body: TEMPLATE_FIELDS }), (req, res) => {
+  const { name, description } = req.body;
+  const { fields, prompt_addenda } = toTemplateRow(req.body);
+
+  if (name !== undefined) {
+    db.prepare('UPDATE memo_templates SET name = ? WHERE id = ?').run(name, req.params.id);
+  }
+  if (description !== undefined) {
+    db.prepare('UPDATE memo_templates SET description = ? WHERE id = ?').run(description, req.params.id);
+  }
+  if (fields !== undefined) {
+    db.prepare('UPDATE memo_templates SET fields = ? WHERE id = ?').run(fields, req.params.id);
+  }
+  if (prompt_addenda !== undefined) {
+    db.prepare('UPDATE memo_templates SET prompt_addenda = ? WHERE id = ?').run(prompt_addenda, req.params.id);
+  }
+  db.prepare('UPDATE memo_templates SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.params.id);
+
+  res.json(getTemplate(req.params.id));
+});
+
+// Delete template
+router.delete('/:id', (req, res) => {
+  // Sessions store the template's id as their category, so keep it while any use it
+  if (db.prepare('SELECT 1 FROM sessions WHERE category = ? LIMIT 1').get(req.params.id)) {
+    throw conflict('Sessions use this template as their category; edit it instead');
+  }
+
+  db.prepare('DELETE FROM memo_templates WHERE id = ?').run(req.params.id);
+  res.json({ success: true });
+});
+
+export default router;
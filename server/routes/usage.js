@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { getUsageReport } from '../services/usage.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+// The current workspace's token and cost report by day, persona and session,
+// with the budgets (and, for the admin, the server-wide spend against them)
+// Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive)
+router.get('/', validate({
+  query: { from: { type: 'date' }, to: { type: 'date' } }
+}), (req, res) => {
+  const { from, to } = req.query;
+  res.json(getUsageReport({ from, to, workspaceId: req.workspace.id, serverSpend: Boolean(req.user.is_admin) }));
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import { Router } from 'express';
+import {
+  getWorkspaces, getMemberWorkspace, createTeamWorkspace, getWorkspaceMembers,
+  addWorkspaceMember, removeWorkspaceMember
+} from '../services/auth.js';
+import { badRequest, forbidden, notFound } from '../middleware/errors.js';
+import { validate } from '../middleware/validate.js';
+
+const router = Router();
+
+const NAME = { type: 'string', required: true, maxLength: 100 };
+
+// Every /:id route works on a workspace the signed-in user belongs to
+router.param('id', (req, res, next, id) => {
+  req.member = getMemberWorkspace(req.user.id, id);
+  if (!req.member) return next(notFound('Workspace not found'));
+  next();
+});
+
+// Workspaces the signed-in user belongs to, personal first
+router.get('/', (req, res) => {
+  res.json(getWorkspaces(req.user.id));
+});
+
+// Create a team workspace; its creator is the owner
+router.post('/', validate({ body: { name: NAME } }), (req, res) => {
+  res.status(201).json(createTeamWorkspace(req.user.id, req.body.name.trim()));
+});
+
+router.get('/:id/members', (req, res) => {
+  res.json(getWorkspaceMembers(req.params.id));
+});
+
+// Add a member by username (team workspace owners only)
+router.post('/:id/members', validate({ body: { username: { type: 'string', required: true } } }), (req, res) => {
+  if (req.member.kind !== 'team') throw badRequest('Personal workspaces cannot be shared; create a team workspace');
+  if (req.member.role !== 'owner') throw forbidden('Only the workspace owner can add members');
+
+  const member = addWorkspaceMember(req.params.id, req.body.username.trim());
+  if (!member) throw notFound('User not found');
+  res.status(201).json(member);
+});
+
+// Remove a member (the owner removes anyone else; members can leave)
+router.delete('/:id/members/:userId', (req, res) => {
+  const { userId } = req.params;
+  if (userId === req.member.owner_id) throw badRequest('The workspace owner cannot be removed');
+  if (req.member.role !== 'owner' && userId !== req.user.id) {
+    throw forbidden('Only the workspace owner can remove members');
+  }
+  if (!getWorkspaceMembers(req.params.id).some(m => m.id === userId)) {
+    throw notFound('Member not found');
+  }
+
+  removeWorkspaceMember(req.params.id, userId);
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,124 @@
+/**
+ * Next Actions
+ * Turns the Strategist's next_actions into tracked actions when a decision is
+ * finalized, parsing free-text timeframes ("This week", "Next 30 days") into due dates.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+
+export const ACTION_STATUSES = ['open', 'in_progress', 'complete', 'cancelled'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12
+};
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function endOfMonth(date, monthsAhead = 0) {
+  return new Date(date.getFullYear(), date.getMonth() + monthsAhead + 1, 0);
+}
+
+// Local YYYY-MM-DD (toISOString would shift the date across time zones)
+function toDateString(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a timeframe like "This week", "Within 2 weeks", "By Friday" or "Next 90 days"
+ * into a due date (YYYY-MM-DD). Returns null when the timeframe can't be read.
+ *
+ * @param {string} timeframe
+ * @param {Date} from - Date the timeframe is relative to (defaults to now)
+ */
+export function parseTimeframe(timeframe, from = new Date()) {
+  if (!timeframe) return null;
+  const text = String(timeframe).toLowerCase().trim();
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+  const iso = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return iso[1];
+
+  if (/\b(today|immediately|asap|now)\b/.test(text)) return toDateString(start);
+  if (/\btomorrow\b/.test(text)) return toDateString(addDays(start, 1));
+
+  // "Next 30 days", "within 2 weeks", "in three months", "48 hours"
+  const span = text.match(/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve)\s+(hour|day|week|month|quarter)s?\b/);
+  if (span) {
+    const count = NUMBER_WORDS[span[1]] ?? parseInt(span[1], 10);
+    switch (span[2]) {
+      case 'hour': return toDateString(addDays(start, Math.ceil(count / 24)));
+      case 'day': return toDateString(addDays(start, count));
+      case 'week': return toDateString(addDays(start, count * 7));
+      case 'month': return toDateString(new Date(start.getFullYear(), start.getMonth() + count, start.getDate()));
+      case 'quarter': return toDateString(new Date(start.getFullYear(), start.getMonth() + count * 3, start.getDate()));
+    }
+  }
+
+  // Weeks end on Sunday
+  const daysToSunday = (7 - start.getDay()) % 7;
+  if (/\bnext week\b/.test(text)) return toDateString(addDays(start, daysToSunday + 7));
+  if (/\b(this|end of( the)?) week\b/.test(text)) return toDateString(addDays(start, daysToSunday));
+
+  if (/\bnext month\b/.test(text)) return toDateString(endOfMonth(start, 1));
+  if (/\b(this|end of( the)?) month\b/.test(text)) return toDateString(endOfMonth(start));
+  const monthsLeftInQuarter = 2 - (start.getMonth() % 3);
+  if (/\bnext quarter\b/.test(text)) return toDateString(endOfMonth(start, monthsLeftInQuarter + 3));
+  if (/\b(this|end of( the)?) quarter\b/.test(text)) return toDateString(endOfMonth(start, monthsLeftInQuarter));
+
+  // "By Friday": the next such weekday, never today
+  const weekday = WEEKDAYS.findIndex(day => text.includes(day));
+  if (weekday !== -1) {
+    return toDateString(addDays(start, ((weekday - start.getDay() + 7) % 7) || 7));
+  }
+
+  return null;
+}
+
+/**
+ * Create tracked actions from the session's Strategist synthesis.
+ * Call inside the transaction that finalizes the decision.
+ *
+ * @returns {number} - Number of actions created
+ */
+export function createActionsFromSynthesis(sessionId, decisionId) {
+  const synthesis = db.prepare(`
+    SELECT structured_output, raw_analysis FROM responses
+    WHERE session_id = ? AND persona_id = 'strategist' AND kind = 'meeting'
+    ORDER BY created_at DESC, round DESC LIMIT 1
+  `).get(sessionId);
+  if (!synthesis) return 0;
+
+  let parsed = {};
+  try {
+    parsed = JSON.parse(synthesis.structured_output || synthesis.raw_analysis || '{}');
+  } catch {
+    return 0;
+  }
+
+  // Actions belong to the decision's workspace and to whoever finalized it
+  const { owner_id: ownerId, workspace_id: workspaceId } = db.prepare('SELECT owner_id, workspace_id FROM decisions WHERE id = ?').get(decisionId) || {};
+  const insert = db.prepare(`
+    INSERT INTO actions (id, session_id, decision_id, action, owner, timeframe, due_date, owner_id, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const nextActions = (parsed.next_actions || []).filter(a => a?.action);
+  for (const a of nextActions) {
+    insert.run(
+      uuidv4(), sessionId, decisionId, a.action, a.owner || 'Chair', a.timeframe || null, parseTimeframe(a.timeframe),
+      ownerId || null, workspaceId || null
+    );
+  }
+  return nextActions.length;
+}
+
+export default { ACTION_STATUSES, parseTimeframe, createActionsFromSynthesis };
@@ -0,0 +1,281 @@
+/**
+ * Memo Attachments
+ *
+ * Stores uploaded files under data/attachments/<session_id>/ and extracts their
+ * text once, at upload, so meetings never re-read the files. Plain text and
+ * Markdown are used as-is, PDFs are converted to text and CSVs are summarized
+ * into a column table plus the first rows.
+ *
+ * Each memo's attachments column holds an array of:
+ *   { id, filename, type, mime_type, size, stored_as, text, truncated, uploaded_at }
+ *
+ * Only an excerpt of each attachment goes into the board prompt, capped by
+ * config.json "attachments": { "max_tokens_per_attachment": 2000 }.
+ */
+
+import { readFileSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, extname, sep } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { PDFParse } from 'pdf-parse';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let attachmentsConfig = {};
+try {
+  const config = JSON.parse(readFileSync(join(__dirname, '../../config/config.json'), 'utf-8'));
+  attachmentsConfig = config.attachments || {};
+} catch (error) {
+  // config.json is optional; defaults below apply
+}
+
+// Relative paths, with or without a leading ./, are from the project root
+export const ATTACHMENTS_DIR = resolve(__dirname, '../..', process.env.ATTACHMENTS_PATH || './data/attachments');
+
+export const ATTACHMENT_TYPES = {
+  '.txt': { type: 'text', mime_type: 'text/plain' },
+  '.md': { type: 'markdown', mime_type: 'text/markdown' },
+  '.markdown': { type: 'markdown', mime_type: 'text/markdown' },
+  '.csv': { type: 'csv', mime_type: 'text/csv' },
+  '.pdf': { type: 'pdf', mime_type: 'application/pdf' }
+};
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Extracted text kept per attachment; the prompt excerpt is cut far shorter
+const MAX_EXTRACTED_CHARS = 200000;
+
+// Rows of a CSV shown verbatim after the column summary
+const CSV_PREVIEW_ROWS = 20;
+
+const DEFAULT_MAX_TOKENS_PER_ATTACHMENT = 2000;
+
+/**
+ * Attachment type for a filename, or null if it isn't supported
+ */
+export function attachmentType(filename) {
+  return ATTACHMENT_TYPES[extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Parse CSV text into rows of fields (quoted fields, escaped quotes and
+ * newlines inside quotes are supported)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// "$1,200.50" and "15%" count as numbers
+function toNumber(value) {
+  const cleaned = String(value).trim().replace(/^\$|%$/g, '').replace(/,/g, '');
+  if (cleaned === '' || isNaN(cleaned)) return null;
+  return Number(cleaned);
+}
+
+function formatNumber(n) {
+  return Number.isInteger(n) ? n.toLocaleString('en-US') : n.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function markdownRow(cells) {
+  return `| ${cells.map(c => String(c ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim()).join(' | ')} |`;
+}
+
+/**
+ * Summarize a CSV as Markdown: one line per column (numeric range and total,
+ * or distinct values), then the first rows as a table
+ */
+export function summarizeCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  if (header.length === 0) return 'Empty CSV file.';
+
+  const columns = header.map((name, i) => {
+    const values = rows.map(r => r[i]).filter(v => v !== undefined && String(v).trim() !== '');
+    const numbers = values.map(toNumber);
+
+    if (values.length > 0 && numbers.every(n => n !== null)) {
+      const sum = numbers.reduce((a, b) => a + b, 0);
+      return markdownRow([name || `Column ${i + 1}`, 'number', values.length,
+        `min ${formatNumber(Math.min(...numbers))}, max ${formatNumber(Math.max(...numbers))}, ` +
+        `mean ${formatNumber(sum / numbers.length)}, total ${formatNumber(sum)}`]);
+    }
+
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5)
+      .map(([value, count]) => count > 1 ? `${value} (${count})` : value);
+    return markdownRow([name || `Column ${i + 1}`, 'text', values.length,
+      `${counts.size} distinct${top.length ? `: ${top.join('; ')}` : ''}`]);
+  });
+
+  const preview = rows.slice(0, CSV_PREVIEW_ROWS);
+
+  return [
+    `${rows.length} rows, ${header.length} columns.`,
+    '',
+    markdownRow(['Column', 'Type', 'Values', 'Summary']),
+    markdownRow(['---', '---', '---', '---']),
+    ...columns,
+    '',
+    rows.length > preview.length ? `First ${preview.length} rows:` : 'Rows:',
+    '',
+    markdownRow(header),
+    markdownRow(header.map(() => '---')),
+    ...preview.map(r => markdownRow(header.map((_, i) => r[i])))
+  ].join('\n');
+}
+
+async function extractPdfText(buffer) {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText();
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Extract the text the board will read from an uploaded file
+ */
+export async function extractText(buffer, type) {
+  switch (type) {
+    case 'pdf':
+      return extractPdfText(buffer);
+    case 'csv':
+      return summarizeCsv(buffer.toString('utf-8').replace(/^﻿/, ''));
+    default:
+      return buffer.toString('utf-8').replace(/^﻿/, '');
+  }
+}
+
+/**
+ * Store an uploaded file for a session and extract its text
+ *
+ * @param {string} sessionId
+ * @param {Object} file - { originalname, buffer, size } as provided by multer
+ * @returns {Promise<Object>} - The attachment record to keep on the memo
+ */
+export async function storeAttachment(sessionId, file) {
+  const format = attachmentType(file.originalname);
+  if (!format) {
+    throw new Error(`Unsupported file type: ${file.originalname}. Use ${Object.keys(ATTACHMENT_TYPES).join(', ')}`);
+  }
+
+  let text;
+  try {
+    text = (await extractText(file.buffer, format.type)).trim();
+  } catch (error) {
+    throw new Error(`Could not read ${file.originalname}: ${error.message}`);
+  }
+
+  const id = uuidv4();
+  const storedAs = `${id}${extname(file.originalname).toLowerCase()}`;
+  const dir = join(ATTACHMENTS_DIR, sessionId);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, storedAs), file.buffer);
+
+  return {
+    id,
+    filename: file.originalname,
+    type: format.type,
+    mime_type: format.mime_type,
+    size: file.size,
+    stored_as: storedAs,
+    text: text.slice(0, MAX_EXTRACTED_CHARS),
+    truncated: text.length > MAX_EXTRACTED_CHARS,
+    uploaded_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Path of an attachment's original file, or null if its stored_as would lead
+ * outside the session's attachments directory (e.g. "../../board.db" in an
+ * imported or hand-edited row)
+ */
+export function attachmentFilePath(sessionId, attachment) {
+  const dir = resolve(ATTACHMENTS_DIR, String(sessionId));
+  const path = resolve(dir, String(attachment.stored_as ?? ''));
+  return dir.startsWith(ATTACHMENTS_DIR + sep) && path.startsWith(dir + sep) ? path : null;
+}
+
+export function deleteAttachmentFile(sessionId, attachment) {
+  const path = attachmentFilePath(sessionId, attachment);
+  if (path) rmSync(path, { force: true });
+}
+
+/**
+ * Attachment metadata without the extracted text, for API responses
+ */
+export function describeAttachment({ text, ...attachment }) {
+  return { ...attachment, chars: text?.length || 0 };
+}
+
+/**
+ * Attachments as a memo section, each cut to the per-attachment token cap
+ * (estimated at 4 characters per token)
+ */
+export function formatAttachmentsForPrompt(attachments) {
+  if (!attachments?.length) return '';
+
+  const maxTokens = attachmentsConfig.max_tokens_per_attachment || DEFAULT_MAX_TOKENS_PER_ATTACHMENT;
+  const maxChars = maxTokens * 4;
+
+  return `### Attachments\n\n${attachments.map(a => {
+    const text = a.text || '(no text could be extracted)';
+    const excerpt = text.length > maxChars
+      ? `${text.slice(0, maxChars)}\n[… excerpt cut at ~${maxTokens} tokens of ${Math.ceil(text.length / 4)}]`
+      : text;
+    return `#### ${a.filename} (${a.type})\n\n${excerpt}`;
+  }).join('\n\n')}`;
+}
+
+export default {
+  ATTACHMENTS_DIR,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  attachmentType,
+  parseCsv,
+  summarizeCsv,
+  extractText,
+  storeAttachment,
+  attachmentFilePath,
+  deleteAttachmentFile,
+  describeAttachment,
+  formatAttachmentsForPrompt
+};
@@ -0,0 +1,293 @@
+/**
+ * Accounts, Sign-in & Workspaces
+ *
+ * Local username/password accounts with scrypt password hashes. Browsers sign in
+ * with a cookie session; scripts send an API token as "Authorization: Bearer ...".
+ * Only SHA-256 hashes of cookie values and tokens are stored.
+ *
+ * Every account gets a personal workspace; team workspaces are shared by their
+ * members. Sessions, decisions, actions and custom personas belong to a workspace.
+ * The first account is the server admin and takes over everything created before
+ * accounts existed.
+ *
+ * Configured in config.json:
+ *   "auth": { "session_days": 30, "allow_registration": true }
+ */
+
+import { randomBytes, scrypt, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let authConfig = {};
+try {
+  const config = JSON.parse(readFileSync(join(__dirname, '../../config/config.json'), 'utf-8'));
+  authConfig = config.auth || {};
+} catch (error) {
+  // config.json is optional; defaults below apply
+}
+
+const scryptAsync = promisify(scrypt);
+
+export const SESSION_COOKIE = 'board_session';
+export const SESSION_DAYS = authConfig.session_days ?? 30;
+const ALLOW_REGISTRATION = authConfig.allow_registration ?? true;
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_PREFIX = 'pbt_';
+
+// Tables whose rows are scoped to a workspace
+const OWNED_TABLES = ['sessions', 'decisions', 'actions'];
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function publicUser(user) {
+  return user ? { id: user.id, username: user.username, is_admin: Boolean(user.is_admin), created_at: user.created_at } : null;
+}
+
+/**
+ * Validate new account details
+ *
+ * @returns {Object|null} - A problem per field, e.g. { password: 'must be at least 8 characters' }, or null
+ */
+export function validateCredentials(username, password) {
+  const problems = {};
+  if (!USERNAME_PATTERN.test(username || '')) {
+    problems.username = 'must be 3-32 letters, numbers, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    problems.password = `must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return Object.keys(problems).length ? problems : null;
+}
+
+/**
+ * Whether a new account may sign up: always for the first, then only if allowed in config
+ */
+export function registrationOpen() {
+  return ALLOW_REGISTRATION || !db.prepare('SELECT 1 FROM users LIMIT 1').get();
+}
+
+function insertWorkspace(name, kind, ownerId) {
+  const id = uuidv4();
+  db.prepare('INSERT INTO workspaces (id, name, kind, owner_id) VALUES (?, ?, ?, ?)').run(id, name, kind, ownerId);
+  db.prepare(`INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')`).run(id, ownerId);
+  return id;
+}
+
+/**
+ * Create an account and its personal workspace
+ *
+ * @returns {Promise<Object|null>} - The user, or null if the username is taken
+ */
+export async function createUser(username, password) {
+  const passwordHash = await hashPassword(password);
+
+  return db.transaction(() => {
+    if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) return null;
+
+    const first = !db.prepare('SELECT 1 FROM users LIMIT 1').get();
+    const id = uuidv4();
+    db.prepare('INSERT INTO users (id, username, password_hash, is_admin) VALUES (?, ?, ?, ?)')
+      .run(id, username, passwordHash, first ? 1 : 0);
+    const workspaceId = insertWorkspace(`${username}'s board`, 'personal', id);
+
+    // The first account takes over the board from before accounts existed
+    if (first) {
+      for (const table of OWNED_TABLES) {
+        db.prepare(`UPDATE ${table} SET workspace_id = ?, owner_id = ? WHERE workspace_id IS NULL`).run(workspaceId, id);
+      }
+    }
+
+    return publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  })();
+}
+
+/**
+ * Check a username and password
+ *
+ * @returns {Promise<Object|null>} - The user, or null if they don't match
+ */
+export async function authenticate(username, password) {
+  const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username || '');
+  if (!user || !(await verifyPassword(String(password || ''), user.password_hash))) return null;
+  return publicUser(user);
+}
+
+/**
+ * Start a cookie session
+ *
+ * @returns {string} - The cookie value
+ */
+export function createAuthSession(userId) {
+  db.prepare(`DELETE FROM auth_sessions WHERE expires_at < datetime('now')`).run();
+
+  const token = randomBytes(32).toString('base64url');
+  db.prepare(`
+    INSERT INTO auth_sessions (id, user_id, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `).run(sha256(token), userId, `+${SESSION_DAYS} days`);
+  return token;
+}
+
+export function deleteAuthSession(token) {
+  if (token) db.prepare('DELETE FROM auth_sessions WHERE id = ?').run(sha256(token));
+}
+
+/**
+ * Look up a cookie session
+ *
+ * @returns {Object|null} - { user, authSessionId, workspaceId }
+ */
+export function resolveAuthSession(token) {
+  if (!token) return null;
+  const row = db.prepare(`
+    SELECT a.id AS auth_session_id, a.workspace_id, u.*
+    FROM auth_sessions a JOIN users u ON u.id = a.user_id
+    WHERE a.id = ? AND a.expires_at > datetime('now')
+  `).get(sha256(token));
+  return row ? { user: publicUser(row), authSessionId: row.auth_session_id, workspaceId: row.workspace_id } : null;
+}
+
+export function selectWorkspace(authSessionId, workspaceId) {
+  db.prepare('UPDATE auth_sessions SET workspace_id = ? WHERE id = ?').run(workspaceId, authSessionId);
+}
+
+/**
+ * Create an API token. The token itself is only returned here.
+ *
+ * @returns {Object} - { id, name, token, created_at }
+ */
+export function createApiToken(userId, name) {
+  const id = uuidv4();
+  const token = TOKEN_PREFIX + randomBytes(32).toString('base64url');
+  db.prepare('INSERT INTO api_tokens (id, user_id, name, token_hash) VALUES (?, ?, ?, ?)').run(id, userId, name, sha256(token));
+  return { ...db.prepare('SELECT id, name, created_at, last_used_at FROM api_tokens WHERE id = ?').get(id), token };
+}
+
+export function getApiTokens(userId) {
+  return db.prepare('SELECT id, name, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at').all(userId);
+}
+
+export function deleteApiToken(userId, tokenId) {
+  return db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(tokenId, userId).changes > 0;
+}
+
+/**
+ * Look up an API token
+ *
+ * @returns {Object|null} - The user
+ */
+export function resolveApiToken(token) {
+  if (!token?.startsWith(TOKEN_PREFIX)) return null;
+  const row = db.prepare(`
+    SELECT t.id AS token_id, u.* FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?
+  `).get(sha256(token));
+  if (!row) return null;
+  db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.token_id);
+  return publicUser(row);
+}
+
+/**
+ * Workspaces a user belongs to, personal first
+ */
+export function getWorkspaces(userId) {
+  return db.prepare(`
+    SELECT w.*, m.role,
+      (SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) AS members
+    FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+    ORDER BY w.kind = 'team', w.created_at
+  `).all(userId);
+}
+
+/**
+ * A workspace the user belongs to, with their role, or null
+ */
+export function getMemberWorkspace(userId, workspaceId) {
+  return db.prepare(`
+    SELECT w.*, m.role FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+    WHERE w.id = ?
+  `).get(userId, workspaceId) || null;
+}
+
+export function createTeamWorkspace(userId, name) {
+  const id = db.transaction(insertWorkspace)(name, 'team', userId);
+  return getMemberWorkspace(userId, id);
+}
+
+export function getWorkspaceMembers(workspaceId) {
+  return db.prepare(`
+    SELECT u.id, u.username, m.role, m.created_at AS joined_at
+    FROM workspace_members m JOIN users u ON u.id = m.user_id
+    WHERE m.workspace_id = ?
+    ORDER BY m.role = 'member', u.username
+  `).all(workspaceId);
+}
+
+/**
+ * Add a user to a workspace by username
+ *
+ * @returns {Object|null} - The member, or null if there's no such user
+ */
+export function addWorkspaceMember(workspaceId, username) {
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get(username || '');
+  if (!user) return null;
+  db.prepare('INSERT OR IGNORE INTO workspace_members (workspace_id, user_id) VALUES (?, ?)').run(workspaceId, user.id);
+  return getWorkspaceMembers(workspaceId).find(m => m.id === user.id);
+}
+
+export function removeWorkspaceMember(workspaceId, userId) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?').run(workspaceId, userId);
+    db.prepare('UPDATE auth_sessions SET workspace_id = NULL WHERE user_id = ? AND workspace_id = ?').run(userId, workspaceId);
+  })();
+}
+
+export default {
+  SESSION_COOKIE,
+  SESSION_DAYS,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  registrationOpen,
+  createUser,
+  authenticate,
+  createAuthSession,
+  deleteAuthSession,
+  resolveAuthSession,
+  selectWorkspace,
+  createApiToken,
+  getApiTokens,
+  deleteApiToken,
+  resolveApiToken,
+  getWorkspaces,
+  getMemberWorkspace,
+  createTeamWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  removeWorkspaceMember
+};
@@ -0,0 +1,322 @@
+/**
+ * Backup, Restore & Snapshots
+ *
+ * A backup is a portable JSON archive of every table, plus the attachment files
+ * (base64) so a board can move to another machine in one file:
+ *   { format: 'personal-board-backup', version, exported_at, tables: { personas: [...], ... }, attachments: { '<session_id>/<stored_as>': base64 } }
+ *
+ * Importing either merges the archive into the current database (rows whose id
+ * already exists are skipped or overwritten) or replaces everything in it.
+ * Rows that clash with another row on a unique column, such as a username
+ * already taken by another account, are left out and reported as conflicts.
+ *
+ * Snapshots are plain SQLite copies of the database in data/snapshots/, taken on
+ * a schedule, before every import or restore and before db:reset, pruned to the
+ * newest few. Configured in config.json:
+ *   "backups": { "snapshot_interval_hours": 24, "snapshot_retention": 7 }
+ */
+
+import Database from 'better-sqlite3';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync, rmSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, sep } from 'path';
+import db from '../db/db.js';
+import { ATTACHMENTS_DIR, attachmentFilePath } from './attachments.js';
+import { seedTemplates } from './templates.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let backupsConfig = {};
+try {
+  const config = JSON.parse(readFileSync(join(__dirname, '../../config/config.json'), 'utf-8'));
+  backupsConfig = config.backups || {};
+} catch (error) {
+  // config.json is optional; defaults below apply
+}
+
+export const BACKUP_FORMAT = 'personal-board-backup';
+export const BACKUP_VERSION = 1;
+
+// Parents before children, so rows can be inserted in this order and deleted in reverse
+export const BACKUP_TABLES = [
+  'users', 'workspaces', 'workspace_members', 'api_tokens',
+  'personas', 'workspace_personas', 'memo_templates', 'sessions', 'memos', 'memo_revisions', 'runs',
+  'responses', 'decisions', 'actions', 'tags', 'precedents', 'stances'
+];
+
+// Columns that identify a row, where it isn't id
+const ROW_KEYS = {
+  workspace_members: ['workspace_id', 'user_id'],
+  workspace_personas: ['workspace_id', 'persona_id']
+};
+
+export const IMPORT_MODES = ['merge', 'replace'];
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite'];
+
+// Same resolution as DB_PATH: relative paths are from the project root
+const snapshotsPath = process.env.SNAPSHOTS_PATH || './data/snapshots';
+export const SNAPSHOTS_DIR = snapshotsPath.startsWith('.')
+  ? resolve(__dirname, '../..', snapshotsPath)
+  : snapshotsPath;
+
+const SNAPSHOT_NAME = /^board-[\dTZ-]+(-[a-z-]+)?\.db$/;
+const SNAPSHOT_INTERVAL_HOURS = backupsConfig.snapshot_interval_hours ?? 24;
+const SNAPSHOT_RETENTION = backupsConfig.snapshot_retention ?? 7;
+
+function tableExists(conn, table) {
+  return Boolean(conn.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table));
+}
+
+function readTables(conn) {
+  const tables = {};
+  for (const table of BACKUP_TABLES) {
+    tables[table] = tableExists(conn, table) ? conn.prepare(`SELECT * FROM ${table}`).all() : [];
+  }
+  return tables;
+}
+
+// Every attachment file referenced by a memo or one of its revisions, keyed '<session_id>/<stored_as>'
+function readAttachmentFiles(tables) {
+  const files = {};
+  for (const memo of [...tables.memos, ...tables.memo_revisions]) {
+    for (const attachment of JSON.parse(memo.attachments || '[]')) {
+      const key = `${memo.session_id}/${attachment.stored_as}`;
+      const path = attachmentFilePath(memo.session_id, attachment);
+      if (files[key] || !path || !existsSync(path)) continue;
+      files[key] = readFileSync(path).toString('base64');
+    }
+  }
+  return files;
+}
+
+/**
+ * Export the whole database as a backup archive
+ *
+ * @param {Object} options - { attachments: include attachment files (default true) }
+ * @returns {Object} - The archive
+ */
+export function exportDatabase({ attachments = true } = {}) {
+  const tables = readTables(db);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    tables,
+    attachments: attachments ? readAttachmentFiles(tables) : {}
+  };
+}
+
+function validateArchive(archive) {
+  if (archive?.format !== BACKUP_FORMAT || !archive.tables || typeof archive.tables !== 'object') {
+    throw new Error('Not a Personal Board backup archive');
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${archive.version} (this server reads up to ${BACKUP_VERSION})`);
+  }
+  for (const table of BACKUP_TABLES) {
+    const rows = archive.tables[table] || [];
+    const keys = ROW_KEYS[table] || ['id'];
+    if (!Array.isArray(rows) || rows.some(row => !row || keys.some(key => typeof row[key] !== 'string'))) {
+      throw new Error(`Backup table ${table} must be an array of rows with string ${keys.join(' and ')}`);
+    }
+  }
+}
+
+// Why a row clashed with an existing one on a unique column other than its key
+function conflictReason(table, row) {
+  if (table === 'users') return `username "${row.username}" belongs to another account`;
+  if (table === 'decisions') return 'its session already has a decision';
+  return 'clashes with an existing row on a unique column';
+}
+
+// Columns the archive row and the current table have in common, so archives
+// from an older or newer schema still import
+function importRow(table, columns, row, conflict) {
+  const names = columns.filter(c => c in row);
+  const values = names.map(c => row[c] !== null && typeof row[c] === 'object' ? JSON.stringify(row[c]) : row[c]);
+
+  const keys = ROW_KEYS[table] || ['id'];
+  const match = keys.map(key => `${key} = ?`).join(' AND ');
+  const keyValues = keys.map(key => row[key]);
+
+  const exists = db.prepare(`SELECT 1 FROM ${table} WHERE ${match}`).get(...keyValues);
+  if (exists) {
+    const updates = names.filter(c => !keys.includes(c));
+    if (conflict !== 'overwrite' || !updates.length) return 'skipped';
+    const { changes } = db.prepare(`UPDATE OR IGNORE ${table} SET ${updates.map(c => `${c} = ?`).join(', ')} WHERE ${match}`)
+      .run(...values.filter((_, i) => !keys.includes(names[i])), ...keyValues);
+    return changes ? 'updated' : 'conflict';
+  }
+
+  // Rows that clash on another unique key, e.g. a second decision for the same session, are left out
+  const { changes } = db.prepare(`
+    INSERT OR IGNORE INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+  `).run(...values);
+  return changes ? 'inserted' : 'conflict';
+}
+
+// Keys come from the archive, so never write outside the attachments directory
+function writeAttachmentFiles(files, overwrite) {
+  let written = 0;
+  for (const [key, base64] of Object.entries(files || {})) {
+    const [sessionId, storedAs, ...rest] = key.split('/');
+    const path = resolve(ATTACHMENTS_DIR, sessionId || '', storedAs || '');
+    if (rest.length || !sessionId || !storedAs || !path.startsWith(ATTACHMENTS_DIR + sep)) continue;
+    if (!overwrite && existsSync(path)) continue;
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, Buffer.from(base64, 'base64'));
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Import a backup archive. A snapshot of the current database is taken first.
+ * Replacing signs everyone out, since the accounts they signed in as are replaced.
+ *
+ * @param {Object} archive - As produced by exportDatabase
+ * @param {Object} options - { mode: 'merge' | 'replace', conflict: 'skip' | 'overwrite' (merge only) }
+ * @returns {Promise<Object>} - { mode, snapshot, tables: { <table>: { inserted, updated, skipped, conflicts } },
+ *   conflicts: [{ table, id, reason }], attachments }
+ */
+export async function importDatabase(archive, { mode = 'merge', conflict = 'skip' } = {}) {
+  validateArchive(archive);
+  const snapshot = await createSnapshot('pre-import');
+
+  const counts = {};
+  const conflicts = [];
+  const run = db.transaction(() => {
+    if (mode === 'replace') {
+      db.prepare('DELETE FROM auth_sessions').run();
+      for (const table of [...BACKUP_TABLES].reverse()) db.prepare(`DELETE FROM ${table}`).run();
+    }
+
+    for (const table of BACKUP_TABLES) {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+      counts[table] = { inserted: 0, updated: 0, skipped: 0, conflicts: 0 };
+      for (const row of archive.tables[table] || []) {
+        const outcome = importRow(table, columns, row, conflict);
+        if (outcome === 'conflict') {
+          counts[table].conflicts++;
+          conflicts.push({ table, id: row.id ?? null, reason: conflictReason(table, row) });
+        } else {
+          counts[table][outcome]++;
+        }
+      }
+    }
+  });
+
+  // A merge can skip rows that others point at, and older archives can hold
+  // rows that predate a constraint; keep what imports rather than refuse it all
+  db.pragma('foreign_keys = OFF');
+  try {
+    run();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  // Archives from before memo templates have none; new memos need the defaults back
+  seedTemplates();
+
+  const attachments = writeAttachmentFiles(archive.attachments, mode === 'replace' || conflict === 'overwrite');
+  return { mode, snapshot: snapshot?.name || null, tables: counts, conflicts, attachments };
+}
+
+/**
+ * Snapshots on disk, newest first
+ */
+export function listSnapshots() {
+  if (!existsSync(SNAPSHOTS_DIR)) return [];
+  return readdirSync(SNAPSHOTS_DIR)
+    .filter(name => SNAPSHOT_NAME.test(name))
+    .sort()
+    .reverse()
+    .map((name) => {
+      const stats = statSync(join(SNAPSHOTS_DIR, name));
+      return { name, size: stats.size, created_at: stats.mtime.toISOString() };
+    });
+}
+
+function pruneSnapshots() {
+  for (const { name } of listSnapshots().slice(SNAPSHOT_RETENTION)) {
+    rmSync(join(SNAPSHOTS_DIR, name), { force: true });
+  }
+}
+
+/**
+ * Copy the live database into the snapshots directory and prune old snapshots.
+ * Skipped (null) when the database has no tables yet.
+ *
+ * @param {string} reason - Appended to the file name: scheduled, manual, pre-import...
+ * @returns {Promise<Object|null>} - { name, size, created_at }
+ */
+export async function createSnapshot(reason = 'manual') {
+  if (!tableExists(db, 'sessions')) return null;
+
+  mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  const name = `board-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.db`;
+  await db.backup(join(SNAPSHOTS_DIR, name));
+
+  // A single self-contained file: no -wal/-shm beside it when it's read later
+  const copy = new Database(join(SNAPSHOTS_DIR, name));
+  copy.pragma('journal_mode = DELETE');
+  copy.close();
+  pruneSnapshots();
+
+  const stats = statSync(join(SNAPSHOTS_DIR, name));
+  return { name, size: stats.size, created_at: stats.mtime.toISOString() };
+}
+
+/**
+ * Replace the database with a snapshot's contents (attachment files are left as they are)
+ *
+ * @returns {Promise<Object|null>} - As importDatabase, or null if the snapshot doesn't exist
+ */
+export async function restoreSnapshot(name) {
+  if (!SNAPSHOT_NAME.test(name) || !existsSync(join(SNAPSHOTS_DIR, name))) return null;
+
+  const source = new Database(join(SNAPSHOTS_DIR, name), { readonly: true, fileMustExist: true });
+  let tables;
+  try {
+    tables = readTables(source);
+  } finally {
+    source.close();
+  }
+
+  return importDatabase(
+    { format: BACKUP_FORMAT, version: BACKUP_VERSION, tables, attachments: {} },
+    { mode: 'replace' }
+  );
+}
+
+export function deleteSnapshot(name) {
+  if (!SNAPSHOT_NAME.test(name) || !existsSync(join(SNAPSHOTS_DIR, name))) return false;
+  rmSync(join(SNAPSHOTS_DIR, name));
+  return true;
+}
+
+/**
+ * Take a snapshot every snapshot_interval_hours (0 turns it off), and one at
+ * startup if the newest is already older than that
+ */
+export function startSnapshotSchedule() {
+  if (!SNAPSHOT_INTERVAL_HOURS) return;
+  const intervalMs = SNAPSHOT_INTERVAL_HOURS * 60 * 60 * 1000;
+
+  const takeSnapshot = () => createSnapshot('scheduled').catch((error) => {
+    console.warn('Warning: Scheduled snapshot failed:', error.message);
+  });
+
+  const latest = listSnapshots()[0];
+  if (!latest || Date.now() - new Date(latest.created_at).getTime() >= intervalMs) takeSnapshot();
+  setInterval(takeSnapshot, intervalMs).unref();
+}
+
+export default {
+  exportDatabase,
+  importDatabase,
+  listSnapshots,
+  createSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+  startSnapshotSchedule
+};
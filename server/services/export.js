@@ -0,0 +1,543 @@
+/**
+ * Export
+ *
+ * Renders a board meeting, or the whole Decision Log, as Markdown, as HTML with
+ * print CSS (print to PDF from the browser) or as JSON. Each document is built
+ * once as a list of blocks and both text renderers walk the same blocks:
+ *
+ *   { type: 'heading', level, text }    { type: 'paragraph', text }
+ *   { type: 'fields', items: [[label, value]] }    { type: 'value', value }
+ *   { type: 'table', headers, rows }
+ */
+
+import db from '../db/db.js';
+import { getSessionTags, normalizeTag } from './search.js';
+import { getRunResponses } from './revisions.js';
+
+export const EXPORT_FORMATS = ['md', 'html', 'json'];
+
+export const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Shared board member fields, shown in each member's header rather than repeated in the body
+const HEADER_FIELDS = ['position', 'confidence'];
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Full structured output of a response (older responses only have raw_analysis)
+function parseOutput(response) {
+  return parseJson(response?.structured_output || response?.raw_analysis || '{}', {});
+}
+
+function formatLabel(key) {
+  return key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function formatDate(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function slugify(text) {
+  return String(text || 'board-meeting').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Everything in a board meeting, parsed: the data behind every export format
+ *
+ * @param {string} sessionId
+ * @param {Object} options - { run } run number (default: the latest run)
+ * @returns {Object|null} - null if the session or run doesn't exist
+ */
+export function getSessionExport(sessionId, { run: runNumber = null } = {}) {
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+  if (!session) return null;
+
+  const selected = getRunResponses(sessionId, runNumber);
+  if (!selected) return null;
+
+  const memo = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId);
+  const decision = db.prepare('SELECT * FROM decisions WHERE session_id = ?').get(sessionId);
+  const actions = db.prepare(`
+    SELECT action, owner, timeframe, due_date, status, completed_at FROM actions
+    WHERE session_id = ? ORDER BY due_date IS NULL, due_date, created_at
+  `).all(sessionId);
+  const names = Object.fromEntries(db.prepare('SELECT id, name FROM personas').all().map(p => [p.id, p.name]));
+
+  const responses = selected.responses.map(r => ({
+    persona_id: r.persona_id,
+    name: names[r.persona_id] || formatLabel(r.persona_id),
+    round: r.round || 1,
+    confidence: r.confidence,
+    position: r.position,
+    output: parseOutput(r),
+    status: r.status || 'ok',
+    error: r.error || null,
+    model: r.model,
+    tokens_used: r.tokens_used,
+    cost_usd: r.cost_usd
+  }));
+
+  return {
+    session: {
+      id: session.id,
+      category: session.category,
+      status: session.status,
+      created_at: session.created_at,
+      forked_from: session.forked_from,
+      tags: getSessionTags(sessionId)
+    },
+    run: selected.run && {
+      run_number: selected.run.run_number,
+      memo_version: selected.run.memo_version,
+      status: selected.run.status,
+      created_at: selected.run.created_at
+    },
+    memo: memo && {
+      version: memo.version,
+      decision_required: memo.decision_required,
+      context: parseJson(memo.context, []),
+      options: parseJson(memo.options, []).map(o => o.description || o),
+      constraints: parseJson(memo.constraints, {}),
+      success_metrics: parseJson(memo.success_metrics, []),
+      questions_for_board: parseJson(memo.questions_for_board, []),
+      attachments: parseJson(memo.attachments, []).map(a => a.filename),
+      template_fields: parseJson(memo.template_fields, [])
+    },
+    briefing: responses.find(r => r.persona_id === 'secretary' && r.status === 'ok')?.output || null,
+    board: responses.filter(r => r.persona_id !== 'secretary' && r.persona_id !== 'strategist'),
+    synthesis: responses.find(r => r.persona_id === 'strategist' && r.status === 'ok')?.output || null,
+    decision: decision && formatDecision(decision),
+    actions,
+    exported_at: new Date().toISOString()
+  };
+}
+
+function formatDecision(d) {
+  return {
+    decision_statement: d.decision_statement,
+    rationale: d.rationale,
+    execution_guardrails: parseJson(d.execution_guardrails, []),
+    pre_mortem: parseJson(d.pre_mortem, {}),
+    assumption_to_test: d.assumption_to_test,
+    review_date: d.review_date,
+    outcome: d.outcome,
+    outcome_rating: d.outcome_rating,
+    assumption_held: d.assumption_held,
+    retrospective: d.retrospective,
+    retro_analysis: parseJson(d.retro_analysis, null),
+    decided_at: d.created_at
+  };
+}
+
+/**
+ * Every decision in the log, newest first, with its memo question and actions
+ *
+ * @param {Object} filters - { tag, category, workspaceId }
+ */
+export function getDecisionLogExport({ tag, category, workspaceId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (workspaceId) {
+    conditions.push('d.workspace_id = ?');
+    params.push(workspaceId);
+  }
+  if (tag) {
+    conditions.push('EXISTS (SELECT 1 FROM tags t WHERE t.session_id = d.session_id AND t.tag = ?)');
+    params.push(normalizeTag(tag));
+  }
+  if (category) {
+    conditions.push('s.category = ?');
+    params.push(category);
+  }
+
+  const decisions = db.prepare(`
+    SELECT d.*, s.category, m.decision_required
+    FROM decisions d
+    JOIN sessions s ON s.id = d.session_id
+    LEFT JOIN memos m ON m.session_id = d.session_id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY d.created_at DESC
+  `).all(...params);
+
+  const actionsFor = db.prepare(`
+    SELECT action, owner, due_date, status FROM actions
+    WHERE decision_id = ? ORDER BY due_date IS NULL, due_date, created_at
+  `);
+
+  return {
+    decisions: decisions.map(d => ({
+      session_id: d.session_id,
+      category: d.category,
+      tags: getSessionTags(d.session_id),
+      decision_required: d.decision_required,
+      ...formatDecision(d),
+      actions: actionsFor.all(d.id)
+    })),
+    exported_at: new Date().toISOString()
+  };
+}
+
+function decisionBlocks(decision, level) {
+  return [
+    { type: 'heading', level, text: 'Decision' },
+    { type: 'paragraph', text: decision.decision_statement },
+    {
+      type: 'fields',
+      items: [
+        ['Rationale', decision.rationale],
+        ['Assumption to test', decision.assumption_to_test],
+        ['Decided', formatDate(decision.decided_at)],
+        ['Review on', decision.review_date],
+        ['Outcome', decision.outcome],
+        ['Outcome rating', decision.outcome_rating && `${decision.outcome_rating} / 5`],
+        ['Assumption held', decision.assumption_held],
+        ['Lessons', decision.retrospective]
+      ]
+    },
+    ...(decision.execution_guardrails.length
+      ? [{ type: 'heading', level: level + 1, text: 'Execution Guardrails' }, { type: 'value', value: decision.execution_guardrails }]
+      : []),
+    ...(Object.keys(decision.pre_mortem).length
+      ? [{ type: 'heading', level: level + 1, text: 'Pre-Mortem' }, { type: 'value', value: decision.pre_mortem }]
+      : []),
+    ...(decision.retro_analysis
+      ? [{ type: 'heading', level: level + 1, text: 'Retro Analysis' }, { type: 'value', value: decision.retro_analysis }]
+      : [])
+  ];
+}
+
+function actionsTable(actions) {
+  return {
+    type: 'table',
+    headers: ['Action', 'Owner', 'Due', 'Status'],
+    rows: actions.map(a => [a.action, a.owner, a.due_date || a.timeframe || '', formatLabel(a.status)])
+  };
+}
+
+/**
+ * Blocks for one board meeting, in reading order
+ */
+export function sessionBlocks(data) {
+  const { session, run, memo, briefing, board, synthesis, decision, actions } = data;
+  const blocks = [
+    { type: 'heading', level: 1, text: `Board Meeting: ${memo?.decision_required || 'Untitled'}` },
+    {
+      type: 'fields',
+      items: [
+        ['Category', session.category],
+        ['Status', session.status],
+        ['Date', formatDate(session.created_at)],
+        ['Tags', session.tags.join(', ')],
+        ['Run', run && `${run.run_number} (memo v${run.memo_version})`]
+      ]
+    }
+  ];
+
+  if (memo) {
+    blocks.push(
+      { type: 'heading', level: 2, text: 'Memo' },
+      {
+        type: 'fields',
+        items: [
+          ['Decision required', memo.decision_required],
+          ...memo.template_fields.map(f => [f.label, f.value]),
+          ...Object.entries(memo.constraints).map(([key, value]) => [formatLabel(key), value])
+        ]
+      }
+    );
+    for (const [label, items] of [
+      ['Context', memo.context],
+      ['Options', memo.options],
+      ['Success Metrics', memo.success_metrics],
+      ['Questions for the Board', memo.questions_for_board],
+      ['Attachments', memo.attachments]
+    ]) {
+      if (items.length) blocks.push({ type: 'heading', level: 3, text: label }, { type: 'value', value: items });
+    }
+  }
+
+  if (briefing) {
+    blocks.push({ type: 'heading', level: 2, text: 'Secretary Briefing' }, { type: 'value', value: briefing });
+  }
+
+  if (board.length) {
+    const finalRound = Math.max(...board.map(r => r.round));
+    blocks.push({ type: 'heading', level: 2, text: 'Board Responses' });
+    for (let round = 1; round <= finalRound; round++) {
+      if (finalRound > 1) {
+        blocks.push({ type: 'heading', level: 3, text: `Round ${round}${round === 1 ? ': Opening Positions' : ': Rebuttals'}` });
+      }
+      for (const r of board.filter(b => b.round === round)) {
+        if (r.status === 'failed') {
+          blocks.push(
+            { type: 'heading', level: finalRound > 1 ? 4 : 3, text: `${r.name} (did not respond)` },
+            { type: 'paragraph', text: r.error || 'Unknown error' }
+          );
+          continue;
+        }
+        const rest = Object.fromEntries(Object.entries(r.output).filter(([key]) => !HEADER_FIELDS.includes(key)));
+        blocks.push(
+          { type: 'heading', level: finalRound > 1 ? 4 : 3, text: `${r.name} (${r.confidence || 'n/a'} confidence)` },
+          { type: 'paragraph', text: r.position || 'No position stated' },
+          { type: 'value', value: rest }
+        );
+      }
+    }
+  }
+
+  if (synthesis) {
+    blocks.push({ type: 'heading', level: 2, text: 'Strategist Synthesis' }, { type: 'value', value: synthesis });
+  }
+
+  if (decision) blocks.push(...decisionBlocks(decision, 2));
+
+  if (actions.length) {
+    blocks.push({ type: 'heading', level: 2, text: 'Actions' }, actionsTable(actions));
+  }
+
+  return blocks;
+}
+
+/**
+ * Blocks for the Decision Log: one section per decision
+ */
+export function decisionLogBlocks(data) {
+  const blocks = [
+    { type: 'heading', level: 1, text: 'Decision Log' },
+    { type: 'paragraph', text: `${data.decisions.length} decision${data.decisions.length === 1 ? '' : 's'}, exported ${formatDate(data.exported_at)}` }
+  ];
+
+  for (const d of data.decisions) {
+    blocks.push(
+      { type: 'heading', level: 2, text: d.decision_statement },
+      {
+        type: 'fields',
+        items: [
+          ['Question', d.decision_required],
+          ['Category', d.category],
+          ['Tags', d.tags.join(', ')]
+        ]
+      },
+      ...decisionBlocks(d, 3).slice(2),
+      ...(d.actions.length ? [{ type: 'heading', level: 3, text: 'Actions' }, actionsTable(d.actions)] : [])
+    );
+  }
+
+  return blocks;
+}
+
+// Markdown
+
+// Markdown viewers render inline HTML, so markup in what the Chair or a model
+// wrote is escaped and shows as text, as it does in the app
+function markdownText(value) {
+  return String(value ?? '').replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+}
+
+function markdownInline(value) {
+  return markdownText(value).replace(/\s*\n\s*/g, ' ');
+}
+
+// Objects whose values are all plain text fit on one list line
+function isFlatObject(value) {
+  return isPlainObject(value) && Object.values(value).every(v => !isPlainObject(v) && !Array.isArray(v));
+}
+
+function markdownValue(value, depth = 0) {
+  const pad = '  '.repeat(depth);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}- None`;
+    return value.map(item => {
+      if (isFlatObject(item)) {
+        return `${pad}- ${Object.entries(item).map(([k, v]) => `**${markdownInline(formatLabel(k))}:** ${markdownInline(v)}`).join(' · ')}`;
+      }
+      if (isPlainObject(item) || Array.isArray(item)) return `${pad}-\n${markdownValue(item, depth + 1)}`;
+      return `${pad}- ${markdownInline(item)}`;
+    }).join('\n');
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return `${pad}- None`;
+    return entries.map(([key, v]) => (isPlainObject(v) || Array.isArray(v))
+      ? `${pad}- **${markdownInline(formatLabel(key))}:**\n${markdownValue(v, depth + 1)}`
+      : `${pad}- **${markdownInline(formatLabel(key))}:** ${markdownInline(v ?? 'None')}`
+    ).join('\n');
+  }
+  return `${pad}${markdownInline(value ?? 'None')}`;
+}
+
+function markdownCell(value) {
+  return markdownInline(value).replace(/\|/g, '\\|');
+}
+
+export function renderMarkdown(blocks) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${markdownInline(block.text)}`;
+      case 'paragraph':
+        return markdownText(block.text);
+      case 'fields':
+        return block.items.filter(([, value]) => value !== null && value !== undefined && value !== '')
+          .map(([label, value]) => `**${markdownInline(label)}:** ${markdownInline(value)}`).join('  \n');
+      case 'value':
+        return markdownValue(block.value);
+      case 'table':
+        return [
+          `| ${block.headers.map(markdownCell).join(' | ')} |`,
+          `| ${block.headers.map(() => '---').join(' | ')} |`,
+          ...block.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+        ].join('\n');
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n') + '\n';
+}
+
+// HTML
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlValue(value) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '<p class="none">None</p>';
+    return `<ul>${value.map(item => `<li>${(isPlainObject(item) || Array.isArray(item)) ? htmlValue(item) : escapeHtml(item)}</li>`).join('')}</ul>`;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '<p class="none">None</p>';
+    return `<ul>${entries.map(([key, v]) => `<li><strong>${escapeHtml(formatLabel(key))}:</strong> ${
+      (isPlainObject(v) || Array.isArray(v)) ? htmlValue(v) : escapeHtml(v ?? 'None')
+    }</li>`).join('')}</ul>`;
+  }
+  return `<p>${escapeHtml(value ?? 'None')}</p>`;
+}
+
+const PRINT_CSS = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1, h2, h3, h4 { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.25; }
+  h1 { font-size: 1.6rem; border-bottom: 2px solid #111; padding-bottom: 0.5rem; }
+  h2 { font-size: 1.3rem; margin-top: 2rem; border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; }
+  h3 { font-size: 1.1rem; margin-top: 1.5rem; }
+  h4 { font-size: 1rem; margin-top: 1.25rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  ul { padding-left: 1.25rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { border: 1px solid #ccc; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  .none { color: #777; font-style: italic; }
+  @page { margin: 2cm; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    h1, h2, h3, h4 { page-break-after: avoid; break-after: avoid; }
+    table, ul, dl { page-break-inside: avoid; break-inside: avoid; }
+    th { background: none; }
+  }
+`;
+
+export function renderHtml(blocks, title) {
+  const body = blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${escapeHtml(block.text)}</p>`;
+      case 'fields': {
+        const items = block.items.filter(([, value]) => value !== null && value !== undefined && value !== '');
+        return items.length
+          ? `<dl>${items.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`
+          : '';
+      }
+      case 'value':
+        return htmlValue(block.value);
+      case 'table':
+        return `<table><thead><tr>${block.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${
+          block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')
+        }</tbody></table>`;
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${PRINT_CSS}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render export data in a format
+ *
+ * @param {Object} data - From getSessionExport or getDecisionLogExport
+ * @param {string} format - md, html or json
+ * @param {Function} toBlocks - sessionBlocks or decisionLogBlocks
+ * @param {string} title - Document title (HTML)
+ * @returns {string}
+ */
+export function renderExport(data, format, toBlocks, title) {
+  if (format === 'json') return JSON.stringify(data, null, 2);
+  const blocks = toBlocks(data);
+  return format === 'html' ? renderHtml(blocks, title) : renderMarkdown(blocks);
+}
+
+/**
+ * Download filename for an export, e.g. board-meeting-2025-01-31-take-the-offer.md
+ */
+export function exportFilename(prefix, date, subject, format) {
+  return `${[prefix, formatDate(date), subject && slugify(subject)].filter(Boolean).join('-')}.${format}`;
+}
+
+/**
+ * Response headers for an export. HTML opens in the browser, ready to print to PDF,
+ * unless download is set; Markdown and JSON always download.
+ */
+export function exportHeaders(format, filename, download = false) {
+  const disposition = format === 'html' && !download ? 'inline' : 'attachment';
+  return {
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `${disposition}; filename="${filename}"`
+  };
+}
+
+export default {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  getSessionExport,
+  getDecisionLogExport,
+  sessionBlocks,
+  decisionLogBlocks,
+  renderMarkdown,
+  renderHtml,
+  renderExport,
+  exportFilename,
+  exportHeaders
+};
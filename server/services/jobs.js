@@ -0,0 +1,117 @@
+/**
+ * Meeting Jobs
+ * Runs board meetings in the background and keeps their progress events in memory,
+ * so the session page can follow along over SSE and catch up after a reload.
+ *
+ * One job per session. Jobs live only as long as the server process.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+import { runBoardMeeting } from './orchestrator.js';
+
+// How long a finished job's events stay available for late subscribers
+const FINISHED_JOB_TTL_MS = 10 * 60 * 1000;
+
+const jobs = new Map();  // sessionId -> job
+
+/**
+ * Get the current (or recently finished) job for a session
+ */
+export function getJob(sessionId) {
+  return jobs.get(sessionId) || null;
+}
+
+/**
+ * Whether any board meeting is still running
+ */
+export function hasRunningJobs() {
+  return [...jobs.values()].some(job => job.status === 'running');
+}
+
+/**
+ * Start a board meeting in the background.
+ * Throws if a meeting is already running for the session.
+ *
+ * @param {string} sessionId
+ * @param {Object} options - Passed through to runBoardMeeting
+ * @returns {Object} - The job
+ */
+export function startMeetingJob(sessionId, options = {}) {
+  const existing = jobs.get(sessionId);
+  if (existing?.status === 'running') {
+    throw new Error('A board meeting is already running for this session');
+  }
+
+  const job = {
+    id: uuidv4(),
+    sessionId,
+    status: 'running',
+    events: [],
+    emitter: new EventEmitter(),
+    startedAt: new Date().toISOString()
+  };
+  job.emitter.setMaxListeners(0);
+  jobs.set(sessionId, job);
+
+  const emit = (type, data = {}) => {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    job.emitter.emit('event', event);
+  };
+
+  emit('start', { job_id: job.id, session_id: sessionId });
+
+  runBoardMeeting(sessionId, { ...options, onEvent: emit })
+    .then((result) => {
+      job.status = result.status;
+      emit('end', {
+        status: result.status, run_number: result.runNumber,
+        totalTokens: result.totalTokens, totalCost: result.totalCost
+      });
+    })
+    .catch((error) => {
+      console.error('Board meeting error:', error);
+      job.status = 'error';
+      emit('failed', { message: error.message });
+      emit('end', { status: 'error' });
+    })
+    .finally(() => {
+      setTimeout(() => {
+        if (jobs.get(sessionId) === job) jobs.delete(sessionId);
+      }, FINISHED_JOB_TTL_MS).unref();
+    });
+
+  return job;
+}
+
+/**
+ * Meetings still marked running when the server starts were cut off by a
+ * restart; mark them failed so they can be resumed
+ *
+ * @returns {number} - Sessions marked failed
+ */
+export function recoverInterruptedMeetings() {
+  return db.transaction(() => {
+    db.prepare(`UPDATE runs SET status = 'failed', completed_at = CURRENT_TIMESTAMP WHERE status = 'running'`).run();
+    return db.prepare(`UPDATE sessions SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'`).run().changes;
+  })();
+}
+
+/**
+ * Subscribe to a job's events, replaying any after lastEventId first.
+ *
+ * @param {Object} job
+ * @param {number} lastEventId - Last event the client already has (0 for all)
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribe(job, lastEventId, listener) {
+  for (const event of job.events) {
+    if (event.id > lastEventId) listener(event);
+  }
+
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
@@ -0,0 +1,90 @@
+/**
+ * LLM Response Cache
+ *
+ * Keeps persona replies in SQLite (llm_cache) for personas.cache_ttl_seconds
+ * (config, default 3600; 0 turns caching off). A call is a hit only if it comes
+ * from the same workspace and its provider, model, reasoning effort,
+ * instructions, input and schema are all unchanged, so re-running the board on
+ * the same memo, or resuming a failed meeting, reuses earlier replies instead
+ * of paying for them again.
+ * Only replies that passed schema validation are stored.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import db from '../db/db.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let personasConfig = {};
+try {
+  const config = JSON.parse(readFileSync(join(__dirname, '../../config/config.json'), 'utf-8'));
+  personasConfig = config.personas || {};
+} catch (error) {
+  // config.json is optional; defaults below apply
+}
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+export function cacheTtlSeconds() {
+  const ttl = parseInt(personasConfig.cache_ttl_seconds, 10);
+  return Number.isInteger(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Hash of everything that shapes a reply
+ *
+ * @param {Object} request - { workspaceId, provider, model, reasoningEffort, instructions, input, jsonSchema }
+ * @returns {string} - SHA-256 hex
+ */
+export function cacheKey({ workspaceId = null, provider, model, reasoningEffort, instructions, input, jsonSchema = null }) {
+  return createHash('sha256')
+    .update(JSON.stringify([workspaceId, provider, model, reasoningEffort, instructions, input, jsonSchema]))
+    .digest('hex');
+}
+
+/**
+ * A reply stored under key within the TTL
+ *
+ * @returns {Object|null} - { raw, tokens, provider, model, created_at }
+ */
+export function getCachedReply(key) {
+  const ttl = cacheTtlSeconds();
+  if (!ttl) return null;
+
+  const row = db.prepare(`
+    SELECT * FROM llm_cache WHERE key = ? AND created_at > datetime('now', ?)
+  `).get(key, `-${ttl} seconds`);
+  if (!row) return null;
+
+  const tokens = { input: row.input_tokens || 0, output: row.output_tokens || 0, reasoning: row.reasoning_tokens || 0 };
+  return {
+    raw: row.raw,
+    tokens: { ...tokens, total: tokens.input + tokens.output },
+    provider: row.provider,
+    model: row.model,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Store a reply, replacing any older one under the same key, and drop expired entries
+ */
+export function putCachedReply(key, { personaId = null, provider, model, raw, tokens }) {
+  const ttl = cacheTtlSeconds();
+  if (!ttl) return;
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM llm_cache WHERE created_at <= datetime('now', ?)`).run(`-${ttl} seconds`);
+    db.prepare(`
+      INSERT OR REPLACE INTO llm_cache (key, persona_id, provider, model, raw, input_tokens, output_tokens, reasoning_tokens)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(key, personaId, provider, model, raw, tokens.input, tokens.output, tokens.reasoning);
+  })();
+}
+
+export const responseCache = { get: getCachedReply, put: putCachedReply };
+
+export default { cacheTtlSeconds, cacheKey, getCachedReply, putCachedReply, responseCache };
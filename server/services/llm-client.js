@@ -1,22 +1,31 @@
 /**
- * LLM Client for OpenAI GPT-5.2 Responses API
+ * LLM Client
+ *
+ * Provider-agnostic front door for persona calls: resolves model, reasoning effort
+ * and verbosity, delegates the API call to a provider (see ./providers), parses
+ * JSON output and retries failures. completeStructured() also checks the reply
+ * against its schema, re-prompts the model to repair an invalid one, and answers
+ * repeated calls from the response cache (see ./llm-cache.js).
  *
  * Uses environment variables for sensitive/environment-specific settings.
  * Uses config.json for non-sensitive settings (personas config).
  *
  * Environment Variables Used:
- *   OPENAI_API_KEY - Required API key
- *   LLM_MODEL - Model name (default: gpt-5.2)
+ *   LLM_PROVIDER - Default provider: openai, anthropic, openai-compatible, mock (default: openai)
+ *   LLM_MODEL - Model for the default provider (default: the provider's own default)
  *   LLM_REASONING_EFFORT - Default reasoning effort (default: medium)
  *   LLM_VERBOSITY - Default verbosity (default: medium)
  *   LLM_MAX_TOKENS - Max output tokens (default: 4096)
- *
- * Reference: https://platform.openai.com/docs/guides/latest-model
+ *   Provider credentials are documented in each provider module.
  */
 
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createProvider } from './providers/index.js';
+import { ProviderError } from './providers/errors.js';
+import { validateOutput } from './schemas.js';
+import { responseCache, cacheKey } from './llm-cache.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -37,33 +46,89 @@ try {
  * - medium: Balanced (default)
  * - high: Deep reasoning
  * - xhigh: Maximum reasoning (GPT-5.2 only)
+ *
+ * Other providers map these onto their own controls.
+ */
+export const REASONING_EFFORTS = ['none', 'minimal', 'low', 'medium', 'high', 'xhigh'];
+
+/**
+ * A structured reply that still didn't match its schema after the repair attempts.
+ * Carries the last reply and the tokens spent on every attempt, so they can be
+ * recorded and billed.
  */
-const REASONING_EFFORTS = ['none', 'minimal', 'low', 'medium', 'high', 'xhigh'];
+export class InvalidOutputError extends Error {
+  constructor(result, problems) {
+    super(result.parsed
+      ? `Reply did not match the output schema: ${problems.slice(0, 5).join('; ')}`
+      : 'Reply was not valid JSON');
+    this.name = 'InvalidOutputError';
+    this.result = result;
+    this.problems = problems;
+  }
+}
+
+// Wait before retry `attempt` (1-based): the API's Retry-After if it gave one, else 2s, 4s, 8s...
+function retryDelay(error, attempt) {
+  return error.retryAfterMs ?? Math.pow(2, attempt) * 1000;
+}
+
+// Network failures surface from fetch as a TypeError; anything else unexpected is a bug, not worth retrying
+function isRetryable(error) {
+  if (error instanceof ProviderError) return error.retryable;
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
+
+const NO_TOKENS = { input: 0, output: 0, reasoning: 0, total: 0 };
+
+function addTokens(a, b) {
+  return {
+    input: a.input + b.input,
+    output: a.output + b.output,
+    reasoning: a.reasoning + b.reasoning,
+    total: a.total + b.total
+  };
+}
+
+function repairPrompt(problems) {
+  return `Your reply could not be used: ${problems.join('; ')}.\n\n` +
+    'Reply again with a single JSON object that matches the required schema exactly: ' +
+    'every required field present, no extra fields, no prose or code fences.';
+}
 
 export class LLMClient {
   constructor(options = {}) {
-    // API key from environment (required)
-    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
-
-    if (!this.apiKey) {
-      throw new Error(
-        'OPENAI_API_KEY is not set. Please create a .env file with your API key.\n' +
-        'Copy .env.example to .env and add your key.'
-      );
+    // Default provider; personas may pick another per call
+    this.providerName = options.provider || process.env.LLM_PROVIDER || 'openai';
+    this.providers = new Map();
+    if (options.providerInstance) {
+      this.providers.set(this.providerName, options.providerInstance);
     }
 
     // Model settings from environment with fallbacks
-    this.model = options.model || process.env.LLM_MODEL || 'gpt-5.2';
+    this.model = options.model || process.env.LLM_MODEL || null;
     this.maxTokens = options.maxTokens || parseInt(process.env.LLM_MAX_TOKENS, 10) || 4096;
     this.reasoningEffort = options.reasoningEffort || process.env.LLM_REASONING_EFFORT || 'medium';
     this.verbosity = options.verbosity || process.env.LLM_VERBOSITY || 'medium';
-    this.baseUrl = options.baseUrl || 'https://api.openai.com/v1';
 
     // Non-sensitive settings from config.json
     this.retryAttempts = personasConfig.retry_attempts || 3;
+    this.repairAttempts = personasConfig.repair_attempts ?? 1;
+
+    // { get(key), put(key, reply) }; null turns caching off
+    this.cache = options.cache === undefined ? responseCache : options.cache;
     this.reasoningOverrides = personasConfig.reasoning_overrides || {};
   }
 
+  /**
+   * Get (and cache) a provider instance; credentials are only checked when it is called
+   */
+  getProvider(name = this.providerName) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
   /**
    * Get reasoning effort for a specific persona, with fallback to default
    */
@@ -72,7 +137,16 @@ export class LLMClient {
   }
 
   /**
-   * Make a completion request using the Responses API
+   * Model for a provider: LLM_MODEL applies to the default provider only
+   */
+  getModel(providerName = this.providerName) {
+    return providerName === this.providerName && this.model
+      ? this.model
+      : this.getProvider(providerName).defaultModel;
+  }
+
+  /**
+   * Make a completion request
    *
    * @param {string} instructions - System-level instructions
    * @param {string|Array} input - User message(s)
@@ -81,7 +155,10 @@ export class LLMClient {
    * @param {string} options.reasoningEffort - Override reasoning effort
    * @param {string} options.verbosity - Override verbosity
    * @param {string} options.personaId - Persona ID for reasoning override lookup
-   * @returns {Promise<Object>} - { parsed, raw, tokens }
+   * @param {string} options.provider - Override provider
+   * @param {string} options.model - Override model
+   * @param {Function} options.onDelta - Stream the response, calling onDelta(text) for each chunk
+   * @returns {Promise<Object>} - { parsed, raw, tokens, responseId, provider, model, reasoningEffort }
    */
   async complete(instructions, input, options = {}) {
     const {
@@ -90,101 +167,63 @@ export class LLMClient {
         ? this.getReasoningEffort(options.personaId)
         : this.reasoningEffort,
       verbosity = this.verbosity,
-      includeReasoning = false
+      includeReasoning = false,
+      onDelta = null,
+      provider: providerName = this.providerName
     } = options;
 
-    // Build the request body for Responses API
-    const body = {
-      model: this.model,
-      max_output_tokens: this.maxTokens,
-
-      // Instructions replace the old "system" message
-      instructions: instructions,
-
-      // Input can be a string or array of message objects
-      input: typeof input === 'string'
-        ? [{ role: 'user', content: input }]
-        : input,
-
-      // Reasoning configuration
-      reasoning: {
-        effort: reasoningEffort,
-        ...(includeReasoning && { summary: 'auto' })
-      },
-
-      // Verbosity control
-      text: {
-        verbosity: verbosity
-      }
-    };
-
-    // Add structured output format if JSON schema provided
-    if (jsonSchema) {
-      body.text.format = {
-        type: 'json_schema',
-        strict: true,
-        name: jsonSchema.name || 'response_schema',
-        schema: jsonSchema.schema || jsonSchema
-      };
-    }
-
-    const response = await fetch(`${this.baseUrl}/responses`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify(body)
+    const provider = this.getProvider(providerName);
+    const model = options.model || this.getModel(providerName);
+
+    const { raw, tokens, responseId } = await provider.complete({
+      personaId: options.personaId || null,
+      model,
+      instructions,
+      input,
+      jsonSchema,
+      reasoningEffort,
+      verbosity,
+      includeReasoning,
+      maxTokens: this.maxTokens,
+      onDelta
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI Responses API error (${response.status}): ${errorText}`);
-    }
-
-    const data = await response.json();
-    return this.parseResponse(data, jsonSchema);
+    return {
+      parsed: jsonSchema ? this.parseJson(raw) : null,
+      raw,
+      tokens,
+      responseId,
+      provider: providerName,
+      model,
+      reasoningEffort
+    };
   }
 
   /**
-   * Parse the Responses API response
+   * Parse JSON from a model reply, tolerating code fences and prose around the object
+   *
+   * @returns {Object|null} - null if no JSON object could be read
    */
-  parseResponse(data, expectJson = false) {
-    // Use output_text helper if available, otherwise extract from output array
-    let rawText = data.output_text || '';
-
-    if (!rawText && data.output && Array.isArray(data.output)) {
-      for (const item of data.output) {
-        if (item.type === 'message' && item.content) {
-          for (const content of item.content) {
-            if (content.type === 'output_text' || content.type === 'text') {
-              rawText += content.text || '';
-            }
-          }
-        }
-      }
-    }
-
-    const tokens = {
-      input: data.usage?.input_tokens || 0,
-      output: data.usage?.output_tokens || 0,
-      reasoning: data.usage?.output_tokens_details?.reasoning_tokens || 0,
-      total: data.usage?.total_tokens || 0
-    };
-
-    let parsed = null;
-    if (expectJson && rawText) {
+  parseJson(rawText) {
+    if (!rawText) return null;
+    const fenced = rawText.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    const start = rawText.indexOf('{');
+    const end = rawText.lastIndexOf('}');
+    const candidates = [
+      fenced?.[1],
+      rawText,
+      start !== -1 && end > start ? rawText.slice(start, end + 1) : null
+    ];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
       try {
-        const jsonMatch = rawText.match(/```json\n?([\s\S]*?)\n?```/) ||
-                          rawText.match(/```\n?([\s\S]*?)\n?```/);
-        const jsonStr = jsonMatch ? jsonMatch[1].trim() : rawText.trim();
-        parsed = JSON.parse(jsonStr);
-      } catch (e) {
-        console.warn('Failed to parse JSON from response:', e.message);
+        return JSON.parse(candidate.trim());
+      } catch {
+        // try the next candidate
       }
     }
-
-    return { parsed, raw: rawText, tokens, responseId: data.id };
+    return null;
   }
 
   /**
@@ -199,31 +238,89 @@ export class LLMClient {
   }
 
   /**
-   * Complete with retry logic
+   * Complete with retry logic.
+   * Retries network failures, 408/409/429 and 5xx, waiting as long as the API's
+   * Retry-After asks (or backing off exponentially); other errors fail at once.
    */
   async completeWithRetry(instructions, input, options = {}, maxRetries = null) {
     const retries = maxRetries ?? this.retryAttempts;
-    let lastError;
 
-    for (let attempt = 1; attempt <= retries; attempt++) {
+    for (let attempt = 1; ; attempt++) {
       try {
         return await this.complete(instructions, input, options);
       } catch (error) {
-        lastError = error;
         console.warn(`Attempt ${attempt}/${retries} failed:`, error.message);
+        if (attempt >= retries || !isRetryable(error)) throw error;
+        await new Promise(r => setTimeout(r, retryDelay(error, attempt)));
+      }
+    }
+  }
 
-        if (error.message.includes('(4')) throw error; // Don't retry 4xx
+  /**
+   * Complete with retries, then check a structured reply against its schema.
+   * An unparseable or invalid reply is sent back to the model with the problems
+   * listed, up to repair_attempts times (config, default 1).
+   *
+   * A call identical to one answered within cache_ttl_seconds gets the earlier
+   * reply back (cached: true, no tokens); pass bypassCache to ask the model anyway.
+   * Only valid replies are cached, under the original request and workspaceId
+   * (a workspace never gets another's replies).
+   *
+   * @returns {Promise<Object>} - As complete(), with tokens summed over every attempt, repairs: count and cached
+   * @throws {InvalidOutputError} - If the reply is still invalid after the repairs
+   */
+  async completeStructured(instructions, input, options = {}) {
+    const { bypassCache = false, workspaceId = null, ...callOptions } = options;
+    const { jsonSchema = null, personaId = null } = callOptions;
+    const check = (reply) => {
+      if (!jsonSchema) return [];
+      return reply.parsed === null ? ['not valid JSON'] : validateOutput(reply.parsed, jsonSchema);
+    };
 
-        if (attempt < retries) {
-          await new Promise(r => setTimeout(r, Math.pow(2, attempt) * 1000));
-        }
+    const providerName = callOptions.provider || this.providerName;
+    const call = {
+      provider: providerName,
+      model: callOptions.model || this.getModel(providerName),
+      reasoningEffort: callOptions.reasoningEffort || (personaId ? this.getReasoningEffort(personaId) : this.reasoningEffort)
+    };
+    const key = this.cache && cacheKey({ ...call, workspaceId, instructions, input, jsonSchema });
+
+    if (key && !bypassCache) {
+      const hit = this.cache.get(key);
+      const reply = hit && { parsed: jsonSchema ? this.parseJson(hit.raw) : null, raw: hit.raw };
+      if (reply && !check(reply).length) {
+        callOptions.onDelta?.(hit.raw);
+        return { ...reply, tokens: NO_TOKENS, responseId: null, ...call, repairs: 0, cached: true };
       }
     }
-    throw lastError;
+
+    let result = await this.completeWithRetry(instructions, input, callOptions);
+    let tokens = result.tokens;
+    let problems = check(result);
+    let repairs = 0;
+
+    while (problems.length && repairs < this.repairAttempts) {
+      repairs++;
+      console.warn(`${personaId || 'Reply'} did not match its schema (${problems.length} problems), asking for a repair...`);
+      const messages = [
+        ...(typeof input === 'string' ? [{ role: 'user', content: input }] : input),
+        { role: 'assistant', content: result.raw || '(empty reply)' },
+        { role: 'user', content: repairPrompt(problems) }
+      ];
+      // The repaired reply isn't streamed; the first attempt's stream has already been shown
+      result = await this.completeWithRetry(instructions, messages, { ...callOptions, onDelta: null });
+      tokens = addTokens(tokens, result.tokens);
+      problems = check(result);
+    }
+
+    result = { ...result, tokens, repairs, cached: false };
+    if (problems.length) throw new InvalidOutputError(result, problems);
+    if (key) this.cache.put(key, { personaId, provider: result.provider, model: result.model, raw: result.raw, tokens });
+    return result;
   }
 }
 
-// Export a singleton instance getter (validates API key on first use)
+// Export a singleton instance getter
 let defaultClient = null;
 
 export function getClient() {
@@ -233,4 +330,4 @@ export function getClient() {
   return defaultClient;
 }
 
-export default { LLMClient, getClient };
+export default { LLMClient, InvalidOutputError, getClient };
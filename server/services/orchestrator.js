@@ -1,6 +1,7 @@
 /**
  * Board Meeting Orchestrator
- * Uses OpenAI GPT-5.2 Responses API with configurable reasoning effort per persona.
+ * Runs each persona on its configured provider and model (GPT-5.2 by default),
+ * with configurable reasoning effort per persona, within the configured budgets.
  */
 
 import { readFileSync } from 'fs';
@@ -8,7 +9,19 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import db from '../db/db.js';
-import { LLMClient } from './llm-client.js';
+import { getPersona, getActiveBoardMembers, withBoardMemberSchema, SECRETARY_ID, STRATEGIST_ID } from './personas.js';
+import { SCHEMAS, withRebuttalFields } from './schemas.js';
+import { LLMClient, REASONING_EFFORTS, InvalidOutputError } from './llm-client.js';
+import {
+  computeCost, getBudgets, getSessionSpend, getMonthlySpend, estimateCallCost, capEffort
+} from './usage.js';
+import {
+  parseMemo, formatMemoForPrompt, formatBoardInput, formatPrecedentsInput, withCategoryAddendum, formatRebuttalInput, formatRetroInput,
+  formatSynthesisInput
+} from './prompt-inputs.js';
+import { startRun, finishRun, getResumableRun, reopenRun } from './revisions.js';
+import { precedentSettings, findPrecedents, savePrecedents, precedentsSearched, getRunPrecedents } from './precedents.js';
+import { getSessionTemplate } from './templates.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -23,242 +36,611 @@ try {
 
 const llm = new LLMClient();
 
-function loadPrompt(filename) {
-  return readFileSync(join(__dirname, '../prompts', filename), 'utf-8');
+// Upper bound on debate rounds, so a typo can't multiply the token bill
+export const MAX_DEBATE_ROUNDS = 5;
+
+// Rough size of one member's summary in rebuttal and synthesis prompts, for cost estimates
+const MEMBER_SUMMARY_CHARS = 2000;
+
+// Rough size of one precedent in the board's input, for cost estimates
+const PRECEDENT_CHARS = 800;
+
+const NO_TOKENS = { input: 0, output: 0, reasoning: 0, total: 0 };
+
+/**
+ * Board members who must respond in each round for the meeting to go on:
+ * config personas.quorum, or a majority of the active board
+ */
+function resolveQuorum(memberCount) {
+  const configured = parseInt(personasConfig.quorum, 10);
+  return Math.min(configured > 0 ? configured : Math.ceil(memberCount / 2), memberCount);
 }
 
-// JSON schemas for structured outputs (enforced by GPT-5.2)
-// Note: OpenAI strict mode requires ALL properties to be in the 'required' array
-const SCHEMAS = {
-  board_member: {
-    name: 'board_member_output',
-    schema: {
-      type: 'object',
-      properties: {
-        position: { type: 'string' },
-        top_reasons: { type: 'array', items: { type: 'string' } },
-        top_risks: { type: 'array', items: { type: 'string' } },
-        recommended_modifications: { type: 'array', items: { type: 'string' } },
-        validation_metrics: {
-          type: 'object',
-          properties: {
-            '30_day': { type: 'array', items: { type: 'string' } },
-            '90_day': { type: 'array', items: { type: 'string' } }
-          },
-          required: ['30_day', '90_day'],
-          additionalProperties: false
-        },
-        confidence: { type: 'string', enum: ['low', 'medium', 'high'] }
-      },
-      required: ['position', 'top_reasons', 'top_risks', 'recommended_modifications', 'validation_metrics', 'confidence'],
-      additionalProperties: false
-    }
-  },
-  strategist: {
-    name: 'strategist_synthesis',
-    schema: {
-      type: 'object',
-      properties: {
-        integrated_recommendation: {
-          type: 'object',
-          properties: {
-            decision: { type: 'string' },
-            rationale: { type: 'string' },
-            reversibility: { type: 'string', enum: ['high', 'medium', 'low'] }
-          },
-          required: ['decision', 'rationale', 'reversibility'],
-          additionalProperties: false
-        },
-        agreement_areas: { type: 'array', items: { type: 'string' } },
-        disagreement_areas: { type: 'array', items: { type: 'string' } },
-        execution_guardrails: { type: 'array', items: { type: 'string' } },
-        next_actions: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              action: { type: 'string' },
-              owner: { type: 'string' },
-              timeframe: { type: 'string' }
-            },
-            required: ['action', 'owner', 'timeframe'],
-            additionalProperties: false
-          }
-        },
-        assumption_to_test: { type: 'string' },
-        decision_statement: { type: 'string' }
-      },
-      required: ['integrated_recommendation', 'agreement_areas', 'disagreement_areas', 'execution_guardrails', 'next_actions', 'assumption_to_test', 'decision_statement'],
-      additionalProperties: false
-    }
+function resolveDebateRounds(debateRounds) {
+  return Math.min(
+    Math.max(parseInt(debateRounds ?? personasConfig.debate_rounds, 10) || 1, 1),
+    MAX_DEBATE_ROUNDS
+  );
+}
+
+/**
+ * Run a board meeting for a session.
+ *
+ * A board member whose call fails (or whose reply never matches its schema) is
+ * recorded as a failed response and the meeting goes on without them, as long
+ * as a quorum responds. If the meeting itself fails, the session is left
+ * 'failed' and resume picks the same run up again, asking only the personas
+ * that have no response yet.
+ *
+ * @param {string} sessionId
+ * @param {Object} options
+ * @param {boolean} options.proceedWithGaps - Convene the board even if the Secretary flags missing information
+ * @param {number} options.debateRounds - Board rounds; 1 is a single blind pass, more adds rebuttal rounds
+ * @param {boolean} options.resume - Continue the session's failed run instead of starting a new one
+ * @param {boolean} options.bypassCache - Ask every persona afresh instead of reusing cached replies
+ * @param {Function} options.onEvent - Progress callback, called as onEvent(type, data)
+ * @returns {Promise<Object>} - Meeting result; status is 'needs_info' if paused after Phase 1
+ */
+export async function runBoardMeeting(sessionId, options = {}) {
+  // Every meeting is a numbered run against the memo version it read
+  let run;
+  if (options.resume) {
+    run = getResumableRun(sessionId);
+    if (!run) throw new Error('There is no failed meeting on the current memo to resume');
+    reopenRun(run.id);
+  } else {
+    run = startRun(sessionId, { debateRounds: resolveDebateRounds(options.debateRounds) });
   }
-};
 
-export async function runBoardMeeting(sessionId) {
+  try {
+    const result = await conveneBoard(sessionId, run, options);
+    finishRun(run.id, result.status);
+    return { ...result, runId: run.id, runNumber: run.run_number };
+  } catch (error) {
+    finishRun(run.id, 'failed');
+    // The Chair can resume the failed run, or convene the board again
+    db.prepare(`UPDATE sessions SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'`).run(sessionId);
+    throw error;
+  }
+}
+
+async function conveneBoard(sessionId, run, options) {
+  const { proceedWithGaps = false, bypassCache = false, onEvent = () => {} } = options;
+  const rounds = options.resume ? run.debate_rounds || 1 : resolveDebateRounds(options.debateRounds);
+
   console.log(`\n${'='.repeat(60)}`);
-  console.log(`BOARD MEETING STARTED - Session: ${sessionId}`);
+  console.log(`BOARD MEETING ${options.resume ? 'RESUMED' : 'STARTED'} - Session: ${sessionId}, run ${run.run_number} (memo v${run.memo_version})`);
   console.log(`${'='.repeat(60)}\n`);
 
+  // Responses the run already has; failed ones are asked again (see saveResponse)
+  const saved = new Map(
+    db.prepare(`SELECT * FROM responses WHERE run_id = ? AND status = 'ok'`).all(run.id).map(r => [`${r.persona_id}:${r.round}`, r])
+  );
+  const savedResult = (personaId, round = 1) => {
+    const row = saved.get(`${personaId}:${round}`);
+    return row && resultFromResponse(row);
+  };
+
   db.prepare(`UPDATE sessions SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(sessionId);
 
   const memo = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId);
   if (!memo) throw new Error('No memo found for session');
 
-  const memoData = {
-    context: JSON.parse(memo.context || '[]'),
-    decision_required: memo.decision_required,
-    options: JSON.parse(memo.options || '[]'),
-    constraints: JSON.parse(memo.constraints || '{}'),
-    success_metrics: JSON.parse(memo.success_metrics || '[]'),
-    questions_for_board: JSON.parse(memo.questions_for_board || '[]')
-  };
-
+  const memoData = parseMemo(memo);
   const memoText = formatMemoForPrompt(memoData);
+  const briefed = forCategory(getSessionTemplate(sessionId));
+  // Cached replies are only shared within the workspace
+  const workspaceId = sessionWorkspace(sessionId);
+
+  const budget = planMeetingBudget(sessionId, { debateRounds: rounds });
+  if (!budget.allowed) throw new Error(budget.reason);
+  const { effortCap } = budget;
+  if (effortCap) {
+    console.log(`Budget: reasoning effort capped at "${effortCap}" (estimate $${budget.estimate_usd.toFixed(4)}, $${budget.remaining_usd.toFixed(4)} left)\n`);
+    onEvent('budget', budget);
+  }
 
-  // PHASE 1: Secretary (low reasoning - just normalization)
-  console.log('PHASE 1: Secretary processing memo...');
-  const secretaryPrompt = loadPrompt('secretary.txt');
-  const secretaryResult = await llm.completeWithRetry(
-    secretaryPrompt,
+  const secretary = briefed(getPersona(SECRETARY_ID, workspaceId));
+  const boardPersonas = getActiveBoardMembers(workspaceId).map(briefed);
+  if (boardPersonas.length === 0) throw new Error('No active board members');
+  const quorum = resolveQuorum(boardPersonas.length);
+  const strategist = briefed(getPersona(STRATEGIST_ID));
+  if (!strategist) throw new Error('Strategist persona not found');
+  if (!secretary?.is_active) console.log('PHASE 1: Secretary inactive, skipping\n');
+
+  let paused = null;
+  const meeting = await deliberate({
     memoText,
-    { personaId: 'secretary', verbosity: 'low' }
-  );
-  console.log(`   Secretary complete (${secretaryResult.tokens.total} tokens)\n`);
-
-  // PHASE 2: Board members in parallel
-  console.log('PHASE 2: Board members reviewing in parallel...');
-  const boardPersonas = [
-    { id: 'operator', file: 'operator.txt' },
-    { id: 'finance', file: 'finance.txt' },
-    { id: 'craft-expert', file: 'craft-expert.txt' },
-    { id: 'contrarian', file: 'contrarian.txt' }
-  ];
-
-  const boardPromises = boardPersonas.map(async ({ id, file }) => {
-    const prompt = loadPrompt(file);
-    const result = await llm.completeWithRetry(
-      prompt,
-      memoText,
-      {
-        jsonSchema: SCHEMAS.board_member,
-        personaId: id,
-        verbosity: 'medium'
+    secretary: secretary?.is_active ? secretary : null,
+    members: boardPersonas,
+    strategist,
+    rounds
+  }, {
+    // A run being resumed keeps the responses it already has
+    ask: async (persona, { input, ...call }, { phase, round }) => {
+      const result = savedResult(persona.id, round) || await tryCallPersona(persona, input, {
+        ...call,
+        effortCap,
+        bypassCache,
+        workspaceId,
+        ...(phase === 'strategist' && { onDelta: (text) => onEvent('delta', { persona_id: persona.id, text }) })
+      });
+      // Save as each member finishes so progress can be shown live
+      reportResult(sessionId, run, persona, result, { phase, round }, onEvent);
+      return result;
+    },
+
+    onPhase: (phase, { round } = {}) => {
+      console.log(phase === 'secretary' ? 'PHASE 1: Secretary processing memo...'
+        : phase === 'strategist' ? 'PHASE 3: Supreme Strategist synthesizing...'
+          : round === 1 ? `PHASE 2: ${boardPersonas.length} board members reviewing in parallel...`
+            : `PHASE 2: Debate round ${round} of ${rounds} - rebuttals...`);
+      onEvent('phase', {
+        phase,
+        ...(phase === 'board' && { round, rounds, members: boardPersonas.map(p => ({ id: p.id, name: p.name })) })
+      });
+    },
+
+    afterBriefing: (secretaryResult, boardInput) => {
+      // A resumed meeting got past the Secretary last time, so don't pause on the same briefing again
+      const missing = secretaryResult?.parsed?.missing_information || [];
+      if (secretaryResult?.parsed?.briefing_ready === false && missing.length > 0 && !proceedWithGaps && !secretaryResult.responseRow) {
+        paused = missing;
+        return null;
       }
-    );
-    console.log(`   ${id} complete (${result.tokens.total} tokens, ${result.tokens.reasoning} reasoning)`);
-    return { persona: id, result };
-  });
-
-  const boardResults = await Promise.all(boardPromises);
-  console.log('   All board members complete\n');
-
-  // Save board responses
-  for (const { persona, result } of boardResults) {
-    saveResponse(sessionId, persona, result);
-  }
 
-  // PHASE 3: Supreme Strategist (high reasoning for synthesis)
-  console.log('PHASE 3: Supreme Strategist synthesizing...');
-  const strategistPrompt = loadPrompt('strategist.txt');
-  const synthesisInput = formatSynthesisInput(memoData, boardResults);
-
-  const strategistResult = await llm.completeWithRetry(
-    strategistPrompt,
-    synthesisInput,
-    {
-      jsonSchema: SCHEMAS.strategist,
-      personaId: 'strategist',
-      verbosity: 'medium',
-      includeReasoning: true
+      // Earlier decisions on similar questions; a resumed run keeps the ones its board was already shown, even none
+      let precedents = [];
+      if (options.resume && precedentsSearched(run.id)) {
+        precedents = getRunPrecedents(run.id);
+      } else if (precedentSettings().enabled) {
+        precedents = findPrecedents(sessionId, memoData);
+        savePrecedents(sessionId, run.id, precedents);
+      }
+      if (!precedents.length) return boardInput;
+      console.log(`Precedents: ${precedents.map(p => p.decision_statement).join(' | ')}\n`);
+      onEvent('precedents', { precedents });
+      return formatPrecedentsInput(boardInput, precedents);
+    },
+
+    afterRound: (boardResults, round) => {
+      const responded = boardResults.filter(r => !r.result.error).length;
+      console.log(`   Round ${round} complete (${responded} of ${boardPersonas.length} responded)\n`);
+      if (responded < quorum) {
+        throw new Error(`Only ${responded} of ${boardPersonas.length} board members responded in round ${round}; the meeting needs ${quorum}`);
+      }
     }
-  );
-  console.log(`   Strategist complete (${strategistResult.tokens.total} tokens)\n`);
+  });
 
-  saveResponse(sessionId, 'strategist', strategistResult);
+  const { secretary: secretaryResult, board: boardResults, debate, strategist: strategistResult } = meeting;
+  if (paused) {
+    db.prepare(`UPDATE sessions SET status = 'needs_info', updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(sessionId);
+    console.log(`BOARD MEETING PAUSED - Secretary needs ${paused.length} answers from the Chair\n`);
+    onEvent('paused', { missing_information: paused });
+    return {
+      sessionId,
+      status: 'needs_info',
+      secretary: secretaryResult,
+      missing_information: paused,
+      totalTokens: secretaryResult.tokens.total,
+      totalCost: secretaryResult.cost
+    };
+  }
+  if (strategistResult.error) throw new Error(`The Strategist could not synthesize: ${strategistResult.error}`);
 
   db.prepare(`UPDATE sessions SET status = 'complete', updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(sessionId);
 
-  const totalTokens = secretaryResult.tokens.total +
-    boardResults.reduce((sum, r) => sum + r.result.tokens.total, 0) +
-    strategistResult.tokens.total;
+  const results = [secretaryResult, ...debate.flat().map(r => r.result), strategistResult].filter(Boolean);
+  const totalTokens = results.reduce((sum, r) => sum + r.tokens.total, 0);
+  const totalCost = results.reduce((sum, r) => sum + (r.cost || 0), 0);
+  const failed = results.filter(r => r.error).length;
 
   console.log(`${'='.repeat(60)}`);
-  console.log(`BOARD MEETING COMPLETE - Total tokens: ${totalTokens}`);
+  console.log(`BOARD MEETING COMPLETE - Total tokens: ${totalTokens}, cost: $${totalCost.toFixed(4)}${failed ? `, ${failed} failed calls` : ''}`);
   console.log(`${'='.repeat(60)}\n`);
+  onEvent('complete', { totalTokens, totalCost, failed });
 
-  return { sessionId, status: 'complete', secretary: secretaryResult, board: boardResults, strategist: strategistResult, totalTokens };
+  return { sessionId, status: 'complete', secretary: secretaryResult, board: boardResults, debate, strategist: strategistResult, totalTokens, totalCost, failed };
 }
 
-function saveResponse(sessionId, personaId, result) {
-  const responseId = uuidv4();
-  const parsed = result.parsed || {};
+/**
+ * A meeting's phases in order, and what each persona is asked in them: the
+ * Secretary's briefing, the board's rounds (the first a blind pass, later ones
+ * rebutting the members who answered) and the Strategist's synthesis. Board
+ * meetings and the prompt tests both run through here.
+ *
+ * Every call goes through hooks.ask(persona, { input, jsonSchema, verbosity, ... }, { phase, round }),
+ * which returns a callPersona result (parsed, or error). A failed briefing leaves
+ * the board with the memo as written; later phases read whoever did answer.
+ *
+ * @param {Object} board - { memoText, secretary, members, strategist, rounds }; secretary null to skip Phase 1
+ * @param {Object} hooks
+ * @param {Function} hooks.ask - Make one call
+ * @param {Function} hooks.onPhase - Called as onPhase(phase, { round }) as each phase starts
+ * @param {Function} hooks.afterBriefing - afterBriefing(secretaryResult, boardInput) returns the board's input, or null to stop there
+ * @param {Function} hooks.afterRound - afterRound(boardResults, round); throw to end the meeting
+ * @returns {Promise<Object>} - { secretary, board, debate, strategist } results; board and strategist are missing if stopped after the briefing
+ */
+export async function deliberate({ memoText, secretary, members, strategist, rounds = 1 }, hooks) {
+  const { ask, onPhase = () => {}, afterBriefing = (result, input) => input, afterRound = () => {} } = hooks;
 
-  db.prepare(`
-    INSERT INTO responses (id, session_id, persona_id, position, top_reasons, top_risks, recommended_modifications, validation_metrics, confidence, raw_analysis, tokens_used)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
-    responseId, sessionId, personaId,
-    parsed.position || parsed.integrated_recommendation?.decision || '',
-    JSON.stringify(parsed.top_reasons || []),
-    JSON.stringify(parsed.top_risks || []),
-    JSON.stringify(parsed.recommended_modifications || []),
-    JSON.stringify(parsed.validation_metrics || {}),
-    parsed.confidence || 'medium',
-    result.raw,
-    result.tokens.total
-  );
+  // PHASE 1: Secretary (low reasoning - just normalization)
+  let secretaryResult = null;
+  let boardInput = memoText;
+  if (secretary) {
+    onPhase('secretary');
+    // The pipeline depends on the briefing fields, so fall back to the default schema
+    secretaryResult = await ask(secretary, {
+      input: memoText,
+      jsonSchema: secretary.output_schema || SCHEMAS.secretary,
+      verbosity: 'low'
+    }, { phase: 'secretary', round: 1 });
+    // Without a briefing the board reads the memo as written
+    if (secretaryResult.parsed) boardInput = formatBoardInput(memoText, secretaryResult.parsed);
+  }
+  boardInput = await afterBriefing(secretaryResult, boardInput);
+  if (boardInput === null) return { secretary: secretaryResult, debate: [] };
+
+  // PHASE 2: Board members in parallel, then optional rebuttal rounds
+  const debate = [];
+  let boardResults = null;
+  for (let round = 1; round <= rounds; round++) {
+    onPhase('board', { round });
+    // Members who failed last round still get a say this round, but others only rebut what was said
+    const previous = boardResults?.filter(r => !r.result.error);
+    boardResults = await Promise.all(members.map(async (persona) => {
+      const call = previous
+        ? {
+          input: formatRebuttalInput(boardInput, persona, previous, round, rounds),
+          jsonSchema: persona.output_schema && withRebuttalFields(persona.output_schema)
+        }
+        : { input: boardInput, jsonSchema: persona.output_schema };
+      const result = await ask(persona, { ...call, verbosity: 'medium' }, { phase: 'board', round });
+      return { persona: persona.id, name: persona.name, result };
+    }));
+    debate.push(boardResults);
+    await afterRound(boardResults, round);
+  }
+
+  // PHASE 3: Supreme Strategist (high reasoning for synthesis)
+  onPhase('strategist');
+  const strategistResult = await ask(strategist, {
+    input: formatSynthesisInput(boardInput, boardResults, rounds),
+    jsonSchema: strategist.output_schema,
+    verbosity: 'medium',
+    includeReasoning: true
+  }, { phase: 'strategist', round: rounds });
+
+  return { secretary: secretaryResult, board: boardResults, debate, strategist: strategistResult };
+}
+
+/**
+ * Save a persona's result (unless it came from the run being resumed) and report it:
+ * a 'persona' event, or 'persona_failed' with the error
+ */
+function reportResult(sessionId, run, persona, result, { phase, round = 1 }, onEvent) {
+  const response = result.responseRow || saveResponse(sessionId, persona.id, result, { runId: run.id, round });
+  const event = {
+    phase, ...(phase === 'board' && { round }), persona_id: persona.id, name: persona.name,
+    tokens: result.tokens, response
+  };
+
+  if (result.error) {
+    console.log(`   ${persona.id} failed: ${result.error}`);
+    onEvent('persona_failed', { ...event, error: result.error });
+  } else {
+    const resumed = result.responseRow ? ', from the earlier attempt' : result.cached ? ', cached' : '';
+    console.log(`   ${persona.id} complete (${result.tokens.total} tokens, ${result.tokens.reasoning} reasoning${resumed})`);
+    onEvent('persona', event);
+  }
 }
 
-function formatMemoForPrompt(memo) {
-  return `
-## Board Memo
+// A stored response, shaped like a callPersona result
+function resultFromResponse(row) {
+  return {
+    parsed: row.structured_output ? JSON.parse(row.structured_output) : null,
+    raw: row.raw_analysis,
+    tokens: {
+      input: row.input_tokens || 0,
+      output: row.output_tokens || 0,
+      reasoning: row.reasoning_tokens || 0,
+      total: row.tokens_used || 0
+    },
+    provider: row.provider,
+    model: row.model,
+    reasoningEffort: row.reasoning_effort,
+    cost: row.cost_usd,
+    repairs: row.repairs || 0,
+    cached: Boolean(row.cached),
+    responseRow: row
+  };
+}
 
-### Context
-${memo.context.map(c => `- ${c}`).join('\n')}
+/**
+ * Retro board meeting: the Strategist compares its original recommendation with
+ * the outcome the Chair recorded. The analysis is stored on the decision.
+ * The call is checked against the budgets like a meeting (see planRetroBudget).
+ *
+ * @param {string} decisionId
+ * @returns {Promise<Object>} - { decision_id, analysis, tokens, cost }
+ */
+export async function runRetrospective(decisionId) {
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(decisionId);
+  if (!decision) throw new Error('Decision not found');
+  if (!decision.outcome) throw new Error('Record the outcome before running a retro');
+
+  const { strategist, input } = retroRequest(decision);
+  const budget = planRetroBudget(decisionId);
+  if (!budget.allowed) throw new Error(budget.reason);
+
+  console.log(`RETRO: Strategist reviewing decision ${decisionId}...`);
+  const result = await callPersona(strategist, input, {
+    jsonSchema: SCHEMAS.retro,
+    verbosity: 'medium',
+    effortCap: budget.effortCap,
+    workspaceId: sessionWorkspace(decision.session_id)
+  });
+  if (!result.parsed) throw new Error('The Strategist did not return a retro analysis');
+  console.log(`   Retro complete (${result.tokens.total} tokens)\n`);
+
+  saveResponse(decision.session_id, strategist.id, result, { kind: 'retro' });
+  db.prepare('UPDATE decisions SET retro_analysis = ? WHERE id = ?').run(JSON.stringify(result.parsed), decisionId);
 
-### Decision Required
-${memo.decision_required}
+  return { decision_id: decisionId, analysis: result.parsed, tokens: result.tokens, cost: result.cost };
+}
 
-### Options
-${memo.options.map((o, i) => `${i + 1}. ${o.description || o}`).join('\n')}
+// The retro's Strategist and input, with the synthesis from the run the decision
+// was taken on (decisions from before runs were recorded have none: the latest)
+function retroRequest(decision) {
+  const strategist = getPersona(STRATEGIST_ID);
+  if (!strategist) throw new Error('Strategist persona not found');
+
+  const memo = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(decision.session_id);
+  const synthesis = db.prepare(`
+    SELECT structured_output FROM responses
+    WHERE session_id = ? AND persona_id = ? AND kind = 'meeting' AND status = 'ok'
+      AND (run_id = ? OR ? IS NULL)
+    ORDER BY created_at DESC, round DESC LIMIT 1
+  `).get(decision.session_id, strategist.id, decision.run_id, decision.run_id);
+
+  return { strategist, input: formatRetroInput(memo, decision, synthesis) };
+}
 
-### Constraints
-- Time: ${memo.constraints.time || 'Not specified'}
-- Budget: ${memo.constraints.budget || 'Not specified'}
-- Risk Tolerance: ${memo.constraints.risk_tolerance || 'Medium'}
-${memo.constraints.politics ? `- Political considerations: ${memo.constraints.politics}` : ''}
+/**
+ * Call a persona with its stored prompt, output schema, reasoning effort and model.
+ * A persona's own reasoning_effort wins over config reasoning_overrides; effortCap
+ * (from the budget) lowers it further. Adds the call's cost to the result.
+ */
+async function callPersona(persona, input, options = {}) {
+  const { effortCap = null, ...callOptions } = options;
+  const result = await llm.completeStructured(persona.system_prompt, input, {
+    jsonSchema: persona.output_schema,
+    personaId: persona.id,
+    reasoningEffort: capEffort(personaReasoningEffort(persona), effortCap),
+    ...(persona.provider && { provider: persona.provider }),
+    ...(persona.model && { model: persona.model }),
+    ...callOptions
+  });
+  return { ...result, cost: computeCost(result.model, result.tokens) };
+}
 
-### Success Metrics
-${memo.success_metrics.map(m => `- ${m}`).join('\n')}
+/**
+ * callPersona, but a failure comes back as a result with an error instead of a
+ * rejection, so one member can't sink the meeting. Tokens spent on a reply that
+ * never matched its schema are kept, so the failure is still billed.
+ */
+async function tryCallPersona(persona, input, options = {}) {
+  try {
+    return await callPersona(persona, input, options);
+  } catch (error) {
+    const spent = error instanceof InvalidOutputError ? error.result : null;
+    return {
+      parsed: null,
+      raw: spent?.raw ?? null,
+      tokens: spent?.tokens ?? NO_TOKENS,
+      provider: spent?.provider ?? (persona.provider || llm.providerName),
+      model: spent?.model ?? personaModel(persona),
+      reasoningEffort: spent?.reasoningEffort ?? capEffort(personaReasoningEffort(persona), options.effortCap),
+      cost: spent ? computeCost(spent.model, spent.tokens) : 0,
+      repairs: spent?.repairs ?? 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Adds the memo template's prompt addendum for each persona to its system prompt
+ * (see templates.js). Personas the template has nothing for pass through as they are.
+ */
+export function forCategory(template) {
+  return (persona) => persona && {
+    ...persona,
+    system_prompt: withCategoryAddendum(persona.system_prompt, template, persona.id)
+  };
+}
+
+function personaReasoningEffort(persona) {
+  return persona.reasoning_effort || llm.getReasoningEffort(persona.id);
+}
+
+function personaModel(persona) {
+  return persona.model || llm.getModel(persona.provider || llm.providerName);
+}
+
+/**
+ * Check a meeting's estimated cost against the session and monthly budgets.
+ * If it doesn't fit, either cap reasoning effort at the highest level that does
+ * (on_exceed: downgrade) or refuse the run (on_exceed: refuse).
+ *
+ * @param {string} sessionId
+ * @param {Object} options - { debateRounds }
+ * @returns {Object} - { allowed, effortCap, estimate_usd, remaining_usd, reason }
+ */
+export function planMeetingBudget(sessionId, options = {}) {
+  return planBudget(sessionId, 'meeting', () => {
+    const memo = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId);
+    if (!memo) return [];
+
+    const rounds = resolveDebateRounds(options.debateRounds);
+    const memoChars = formatMemoForPrompt(parseMemo(memo)).length;
+    const briefed = forCategory(getSessionTemplate(sessionId));
+    const workspaceId = sessionWorkspace(sessionId);
+    const members = getActiveBoardMembers(workspaceId).map(briefed);
+    const secretary = briefed(getPersona(SECRETARY_ID, workspaceId));
+    const strategist = briefed(getPersona(STRATEGIST_ID));
+    const debateChars = members.length * MEMBER_SUMMARY_CHARS;
+    const { enabled, limit } = precedentSettings();
+    const boardChars = memoChars + (enabled ? limit * PRECEDENT_CHARS : 0);
+
+    // Every call the meeting will make, with its expected input size
+    return [
+      ...(secretary?.is_active ? [{ persona: secretary, inputChars: memoChars }] : []),
+      ...Array.from({ length: rounds }, (_, i) => members.map(persona => ({
+        persona,
+        inputChars: boardChars + (i > 0 ? debateChars : 0)
+      }))).flat(),
+      ...(strategist ? [{ persona: strategist, inputChars: boardChars + debateChars }] : [])
+    ];
+  });
+}
 
-### Questions for the Board
-${memo.questions_for_board.map((q, i) => `${i + 1}. ${q}`).join('\n')}
-`.trim();
+/**
+ * planMeetingBudget for a decision's retro: the one Strategist call
+ *
+ * @param {string} decisionId
+ * @returns {Object} - { allowed, effortCap, estimate_usd, remaining_usd, reason }
+ */
+export function planRetroBudget(decisionId) {
+  const decision = db.prepare('SELECT * FROM decisions WHERE id = ?').get(decisionId);
+  return planBudget(decision.session_id, 'retro', () => {
+    const { strategist, input } = retroRequest(decision);
+    return [{ persona: strategist, inputChars: input.length }];
+  });
 }
 
-function formatSynthesisInput(memo, boardResults) {
-  const boardSummary = boardResults.map(({ persona, result }) => {
-    const p = result.parsed || {};
-    return `
-### ${persona.toUpperCase()}
-- **Position:** ${p.position || 'N/A'}
-- **Top Reasons:** ${(p.top_reasons || []).join('; ')}
-- **Top Risks:** ${(p.top_risks || []).join('; ')}
-- **Confidence:** ${p.confidence || 'N/A'}
-`;
-  }).join('\n');
+// Fit the calls (built only if a budget is set) into what's left of the budgets
+function planBudget(sessionId, label, buildCalls) {
+  const budgets = getBudgets();
+  const limits = [];
+  if (budgets.session_usd !== null) limits.push(budgets.session_usd - getSessionSpend(sessionId));
+  if (budgets.monthly_usd !== null) limits.push(budgets.monthly_usd - getMonthlySpend());
+
+  const calls = limits.length ? buildCalls() : [];
+  if (calls.length === 0) {
+    return { allowed: true, effortCap: null, estimate_usd: null, remaining_usd: null, reason: null };
+  }
+
+  const remaining = Math.min(...limits);
+  const estimate = (cap) => calls.reduce((sum, { persona, inputChars }) => sum + estimateCallCost({
+    personaId: persona.id,
+    model: personaModel(persona),
+    reasoningEffort: capEffort(personaReasoningEffort(persona), cap),
+    inputChars: persona.system_prompt.length + inputChars
+  }), 0);
 
-  return `
-## Original Memo
-${formatMemoForPrompt(memo)}
+  const plan = (allowed, effortCap, estimateUsd, reason = null) =>
+    ({ allowed, effortCap, estimate_usd: estimateUsd, remaining_usd: remaining, reason });
 
----
+  const full = estimate(null);
+  if (full <= remaining) return plan(true, null, full);
 
-## Board Member Responses
-${boardSummary}
+  if (budgets.on_exceed === 'downgrade') {
+    for (const cap of [...REASONING_EFFORTS].reverse()) {
+      const capped = estimate(cap);
+      if (capped <= remaining) return plan(true, cap, capped);
+    }
+  }
 
----
+  return plan(false, null, full,
+    `Budget exceeded: this ${label} is estimated at $${full.toFixed(4)} but only $${Math.max(remaining, 0).toFixed(4)} of the budget is left`);
+}
+
+/**
+ * Build the request a persona would receive for a session's memo, without calling the LLM.
+ * Used by the persona editor to preview prompt edits.
+ *
+ * @param {Object} persona - Hydrated persona (output_schema already parsed)
+ * @param {string|null} sessionId - Session whose memo to use (defaults to the workspace's latest memo)
+ * @param {string|null} workspaceId
+ * @returns {Object} - { instructions, input, reasoning_effort, provider, model, output_schema }
+ */
+export function previewPersonaPrompt(persona, sessionId = null, workspaceId = null) {
+  const memo = sessionId
+    ? db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId)
+    : db.prepare(`
+      SELECT m.* FROM memos m JOIN sessions s ON s.id = m.session_id
+      WHERE s.workspace_id = ? ORDER BY m.created_at DESC LIMIT 1
+    `).get(workspaceId);
+
+  const template = memo ? getSessionTemplate(memo.session_id) : null;
+
+  return {
+    instructions: withCategoryAddendum(persona.system_prompt, template, persona.id),
+    input: memo ? formatMemoForPrompt(parseMemo(memo)) : null,
+    reasoning_effort: personaReasoningEffort(persona),
+    provider: persona.provider || llm.providerName,
+    model: personaModel(persona),
+    output_schema: withBoardMemberSchema(persona).output_schema
+  };
+}
+
+function sessionWorkspace(sessionId) {
+  return db.prepare('SELECT workspace_id FROM sessions WHERE id = ?').get(sessionId)?.workspace_id ?? null;
+}
+
+/**
+ * Store a persona's result. In a resumed run the retry replaces the failed
+ * attempt, taking over its tokens and cost so usage and budgets still count them.
+ */
+function saveResponse(sessionId, personaId, result, { runId = null, round = 1, kind = 'meeting' } = {}) {
+  const responseId = uuidv4();
+  const parsed = result.parsed || {};
+
+  const attempts = runId ? db.prepare(`
+    SELECT * FROM responses WHERE run_id = ? AND persona_id = ? AND round = ? AND kind = ? AND status = 'failed'
+  `).all(runId, personaId, round, kind) : [];
+  const spent = (value, field) => attempts.reduce((total, r) => total + (r[field] || 0), value || 0);
+  const tokens = {
+    total: spent(result.tokens.total, 'tokens_used'),
+    input: spent(result.tokens.input, 'input_tokens'),
+    output: spent(result.tokens.output, 'output_tokens'),
+    reasoning: spent(result.tokens.reasoning, 'reasoning_tokens')
+  };
+  const cost = attempts.some(r => r.cost_usd !== null) ? spent(result.cost, 'cost_usd') : result.cost ?? null;
+
+  db.transaction(() => {
+    const drop = db.prepare('DELETE FROM responses WHERE id = ?');
+    for (const attempt of attempts) drop.run(attempt.id);
+
+    db.prepare(`
+      INSERT INTO responses (id, session_id, persona_id, run_id, round, position, top_reasons, top_risks, recommended_modifications, validation_metrics, confidence, raw_analysis, structured_output,
+        tokens_used, input_tokens, output_tokens, reasoning_tokens, provider, model, reasoning_effort, cost_usd, kind, status, error, repairs, cached)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      responseId, sessionId, personaId, runId, round,
+      parsed.position || parsed.integrated_recommendation?.decision || '',
+      JSON.stringify(parsed.top_reasons || []),
+      JSON.stringify(parsed.top_risks || []),
+      JSON.stringify(parsed.recommended_modifications || []),
+      JSON.stringify(parsed.validation_metrics || {}),
+      parsed.confidence || null,
+      result.raw,
+      result.parsed ? JSON.stringify(result.parsed) : null,
+      tokens.total,
+      tokens.input,
+      tokens.output,
+      tokens.reasoning,
+      result.provider,
+      result.model,
+      result.reasoningEffort,
+      cost,
+      kind,
+      result.error ? 'failed' : 'ok',
+      result.error || null,
+      result.repairs || 0,
+      result.cached ? 1 : 0
+    );
+  })();
 
-Please synthesize these perspectives into a single, coherent recommendation.
-`.trim();
+  return db.prepare('SELECT * FROM responses WHERE id = ?').get(responseId);
 }
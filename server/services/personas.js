@@ -0,0 +1,190 @@
+/**
+ * Persona Service
+ * Seeds the personas table from server/prompts/*.txt and loads the board for a meeting.
+ *
+ * The Secretary (Phase 1) and Supreme Strategist (Phase 3) are looked up by ID;
+ * every other active persona sits on the board in Phase 2.
+ *
+ * Seeded personas have no workspace: they are the default board every workspace
+ * shares. Personas created in a workspace sit only on that workspace's board.
+ * A workspace can switch a default persona off (or back on) for its own board
+ * without changing it for the others; see workspace_personas.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import db from '../db/db.js';
+import { SCHEMAS } from './schemas.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SECRETARY_ID = 'secretary';
+export const STRATEGIST_ID = 'strategist';
+
+// Default board, used to seed an empty personas table and by the prompt tests
+export const DEFAULT_PERSONAS = [
+  {
+    id: 'strategist',
+    name: 'Supreme Strategist',
+    role: 'Mentor & Synthesizer',
+    description: 'Calm, incisive, and not verbose. Uses "If this is true, then..." logic. Calls out illusions like vanity metrics, sunk cost, and ego-protection. Synthesizes all perspectives into one clear recommendation.',
+    file: 'strategist.txt',
+    schema: SCHEMAS.strategist
+  },
+  {
+    id: 'secretary',
+    name: 'Board Secretary',
+    role: 'Chief of Staff',
+    description: 'Procedural, neutral, and crisp. Normalizes and cleans your memo, extracts assumptions, and flags missing information. Prepares the briefing for other board members.',
+    file: 'secretary.txt',
+    schema: SCHEMAS.secretary
+  },
+  {
+    id: 'operator',
+    name: 'The Operator',
+    role: 'COO',
+    description: 'Direct, concrete, and timeline-focused. Converts decisions into executable plans with sequences, dependencies, and next-7-days steps. Avoids abstract strategy talk.',
+    file: 'operator.txt',
+    schema: SCHEMAS.operator
+  },
+  {
+    id: 'finance',
+    name: 'Finance Brain',
+    role: 'CFO',
+    description: 'Quantitative and threshold-driven. Evaluates ROI, downside risk, opportunity cost, and optionality. Pushes for simple rules and clear go/no-go thresholds.',
+    file: 'finance.txt',
+    schema: SCHEMAS.finance
+  },
+  {
+    id: 'craft-expert',
+    name: 'Craft Expert',
+    role: 'Domain Mentor',
+    description: 'Domain-deep and craft-proud. Focuses on best practices, common pitfalls, quality signals, and sharper framing. Avoids generic advice.',
+    file: 'craft-expert.txt',
+    schema: SCHEMAS.craft_expert
+  },
+  {
+    id: 'contrarian',
+    name: 'The Contrarian',
+    role: 'Red Team',
+    description: 'Skeptical but constructive. Assumes the plan is wrong and finds the holes. Identifies failure modes, hidden assumptions, and second-order effects. Always provides a counter-proposal.',
+    file: 'contrarian.txt',
+    schema: SCHEMAS.contrarian
+  }
+];
+
+function loadPrompt(filename) {
+  return readFileSync(join(__dirname, '../prompts', filename), 'utf-8');
+}
+
+/**
+ * Seed the default personas if the table is empty.
+ * Runs once on first start; later edits in the database are left alone.
+ *
+ * @returns {number} - Number of personas inserted
+ */
+export function seedPersonas() {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM personas').get();
+  if (count > 0) return 0;
+
+  const insert = db.prepare(`
+    INSERT INTO personas (id, name, role, description, system_prompt, output_schema, is_active)
+    VALUES (?, ?, ?, ?, ?, ?, 1)
+  `);
+
+  const seed = db.transaction(() => {
+    for (const p of DEFAULT_PERSONAS) {
+      insert.run(
+        p.id, p.name, p.role, p.description,
+        loadPrompt(p.file),
+        p.schema ? JSON.stringify(p.schema) : null
+      );
+    }
+  });
+  seed();
+
+  return DEFAULT_PERSONAS.length;
+}
+
+/**
+ * Parse a persona row's stored output_schema into the jsonSchema shape LLMClient expects
+ */
+function hydrate(row) {
+  if (!row) return null;
+
+  let outputSchema = null;
+  if (row.output_schema) {
+    try {
+      outputSchema = JSON.parse(row.output_schema);
+    } catch (error) {
+      console.warn(`Invalid output_schema for persona ${row.id}:`, error.message);
+    }
+  }
+
+  return { ...row, output_schema: outputSchema };
+}
+
+/**
+ * A board member without a schema of its own answers in the generic board member
+ * shape, so its reply is parsed like everyone else's and the Strategist can read it
+ */
+export function withBoardMemberSchema(persona) {
+  if (!persona || persona.output_schema || [SECRETARY_ID, STRATEGIST_ID].includes(persona.id)) return persona;
+  return { ...persona, output_schema: SCHEMAS.board_member };
+}
+
+// Persona rows with is_active as @workspace sees it: its own setting for a default persona, if any
+const IN_WORKSPACE = `
+  SELECT p.*, COALESCE(wp.is_active, p.is_active) AS is_active
+  FROM personas p
+  LEFT JOIN workspace_personas wp ON wp.persona_id = p.id AND wp.workspace_id = @workspace
+`;
+
+/**
+ * Get a persona by ID (active or not), as the workspace sees it
+ */
+export function getPersona(id, workspaceId = null) {
+  return hydrate(db.prepare(`${IN_WORKSPACE} WHERE p.id = @id`).get({ id, workspace: workspaceId }));
+}
+
+/**
+ * Get a workspace's board as stored: the default personas plus its own
+ *
+ * @param {string} workspaceId
+ * @param {Object} options - { activeOnly }
+ * @returns {Array<Object>} - Persona rows, output_schema still a JSON string
+ */
+export function getWorkspacePersonas(workspaceId, { activeOnly = false } = {}) {
+  return db.prepare(`
+    ${IN_WORKSPACE}
+    WHERE (p.workspace_id IS NULL OR p.workspace_id = @workspace)
+      ${activeOnly ? 'AND COALESCE(wp.is_active, p.is_active) = 1' : ''}
+    ORDER BY p.created_at, p.rowid
+  `).all({ workspace: workspaceId });
+}
+
+/**
+ * Get the active Phase 2 board members: the default board plus the workspace's own
+ */
+export function getActiveBoardMembers(workspaceId = null) {
+  return getWorkspacePersonas(workspaceId, { activeOnly: true })
+    .filter(row => ![SECRETARY_ID, STRATEGIST_ID].includes(row.id))
+    .map(row => withBoardMemberSchema(hydrate(row)));
+}
+
+/**
+ * Switch a persona on or off for a workspace's board. A default persona gets
+ * the workspace's own setting; the workspace's own personas are updated in place.
+ */
+export function setPersonaActive(id, workspaceId, isActive) {
+  const { workspace_id } = db.prepare('SELECT workspace_id FROM personas WHERE id = ?').get(id);
+  if (workspace_id !== null) {
+    db.prepare('UPDATE personas SET is_active = ? WHERE id = ?').run(isActive ? 1 : 0, id);
+    return;
+  }
+  db.prepare(`
+    INSERT INTO workspace_personas (workspace_id, persona_id, is_active) VALUES (?, ?, ?)
+    ON CONFLICT (workspace_id, persona_id) DO UPDATE SET is_active = excluded.is_active, updated_at = CURRENT_TIMESTAMP
+  `).run(workspaceId, id, isActive ? 1 : 0);
+}
@@ -0,0 +1,214 @@
+/**
+ * Precedents
+ *
+ * Institutional memory for board meetings. Before the board convenes, the memo
+ * is matched against the workspace's earlier decided sessions on the full-text
+ * index (search_index, BM25 over their memos and decisions), so the board reads
+ * what the Chair decided on similar questions and how it turned out. Nothing
+ * leaves the machine.
+ *
+ * The precedents a run was shown are stored with it: a resumed meeting sees the
+ * same ones, and the session view lists them.
+ *
+ * Config (config.json "precedents"):
+ *   { "enabled": true, "limit": 3, "min_shared_terms": 3 }
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let precedentsConfig = {};
+try {
+  const config = JSON.parse(readFileSync(join(__dirname, '../../config/config.json'), 'utf-8'));
+  precedentsConfig = config.precedents || {};
+} catch (error) {
+  // config.json is optional; defaults below apply
+}
+
+const DEFAULT_LIMIT = 3;
+const DEFAULT_MIN_SHARED_TERMS = 3;
+
+// Most distinctive memo words that go into the query; BM25 weighs them by rarity
+const MAX_QUERY_TERMS = 24;
+
+// Candidates ranked by BM25 before the shared-term check picks the precedents
+const CANDIDATES_PER_PRECEDENT = 4;
+
+// Words too common in memos to say anything about the question
+const STOPWORDS = new Set(`
+  a about above after again against all also am an and any are as at be because been before being below
+  among between both but by can could did do does doing down during each either few for from further had has
+  have having he her here hers him his how i if in into is it its itself just let me more most my myself
+  no nor not now of off on once only or other our ours out over own same she should so some such than that
+  the their theirs them then there these they this those through to too under until up very was we were
+  what when where which while who whom why will with would you your yours
+  should shall might must may need needs want wants get got make made take one two three next last year
+  years month months week weeks day days time decision decide option options board chair whether now
+`.split(/\s+/).filter(Boolean));
+
+export function precedentSettings() {
+  const limit = parseInt(precedentsConfig.limit, 10);
+  const minShared = parseInt(precedentsConfig.min_shared_terms, 10);
+  return {
+    enabled: precedentsConfig.enabled !== false,
+    limit: Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_LIMIT,
+    minSharedTerms: Number.isInteger(minShared) && minShared > 0 ? minShared : DEFAULT_MIN_SHARED_TERMS
+  };
+}
+
+/**
+ * The memo's distinctive words, most frequent first
+ *
+ * @param {Object} memo - Parsed memo (see parseMemo in prompt-inputs.js)
+ * @returns {string[]}
+ */
+export function memoTerms(memo) {
+  const text = [
+    memo.decision_required,
+    ...(memo.context || []),
+    ...(memo.options || []).map(o => o.description || o),
+    ...(memo.questions_for_board || [])
+  ].join(' ').toLowerCase();
+
+  const counts = new Map();
+  for (const word of text.match(/[\p{L}\p{N}_]+/gu) || []) {
+    if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  // Map keeps first-seen order, so ties favor the decision question's own words
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_QUERY_TERMS)
+    .map(([word]) => word);
+}
+
+// Any of the words; quoting keeps FTS5 syntax in memo text from causing errors
+const anyOf = (terms) => terms.map(term => `"${term}"`).join(' OR ');
+
+/**
+ * Rank the workspace's decided sessions against a memo. The session itself and
+ * its fork family (variants of the same decision) are left out.
+ *
+ * @param {string} sessionId
+ * @param {Object} memo - Parsed memo
+ * @param {Object} options - { limit, minSharedTerms } (defaults from config)
+ * @returns {Object[]} - Precedents, closest first (see hydrate)
+ */
+export function findPrecedents(sessionId, memo, options = {}) {
+  const { limit, minSharedTerms } = { ...precedentSettings(), ...options };
+  const terms = memoTerms(memo);
+  if (!limit || terms.length < minSharedTerms) return [];
+
+  const session = db.prepare('SELECT workspace_id, forked_from FROM sessions WHERE id = ?').get(sessionId);
+  const family = session.forked_from || sessionId;
+
+  // Best-matching documents first; a session's first hit is its score
+  const hits = db.prepare(`
+    SELECT si.session_id, d.id AS decision_id, bm25(search_index, 0, 0, 0, 5.0, 1.0) AS score
+    FROM search_index si
+    JOIN sessions s ON s.id = si.session_id
+    JOIN decisions d ON d.session_id = s.id
+    WHERE search_index MATCH ? AND si.source IN ('memo', 'decision')
+      AND s.workspace_id IS ?
+      AND s.id NOT IN (?, ?) AND s.forked_from IS NOT ?
+    ORDER BY score
+  `).iterate(anyOf(terms), session.workspace_id, sessionId, family, family);
+
+  const candidates = [];
+  const seen = new Set();
+  for (const hit of hits) {
+    if (seen.has(hit.session_id)) continue;
+    seen.add(hit.session_id);
+    candidates.push(hit);
+    if (candidates.length === limit * CANDIDATES_PER_PRECEDENT) break;
+  }
+  if (candidates.length === 0) return [];
+
+  // Which of the memo's words each candidate shares (stemmed the same way as the index)
+  const shared = new Map(candidates.map(c => [c.session_id, []]));
+  const matching = db.prepare(`
+    SELECT DISTINCT session_id FROM search_index
+    WHERE search_index MATCH ? AND source IN ('memo', 'decision')
+  `);
+  for (const term of terms) {
+    for (const { session_id } of matching.all(anyOf([term]))) {
+      shared.get(session_id)?.push(term);
+    }
+  }
+
+  return candidates
+    .filter(c => shared.get(c.session_id).length >= minSharedTerms)
+    .slice(0, limit)
+    .map(c => hydrate({ ...c, matched_terms: shared.get(c.session_id) }));
+}
+
+// What the board and the session view need to know about a precedent
+function hydrate({ session_id, decision_id, score, matched_terms }) {
+  const row = db.prepare(`
+    SELECT m.decision_required, d.decision_statement, d.rationale, d.assumption_to_test,
+      d.outcome, d.outcome_rating, d.assumption_held, d.retrospective, d.retro_analysis,
+      d.created_at AS decided_at, d.reviewed_at
+    FROM decisions d LEFT JOIN memos m ON m.session_id = d.session_id
+    WHERE d.id = ?
+  `).get(decision_id);
+  if (!row) return null;
+
+  const retro = row.retro_analysis ? JSON.parse(row.retro_analysis) : null;
+  const { retro_analysis, ...decision } = row;
+  return {
+    session_id,
+    decision_id,
+    ...decision,
+    lessons: retro?.lessons || [],
+    score,
+    matched_terms
+  };
+}
+
+/**
+ * Store the precedents a run's board is shown, and that the run has looked them up
+ */
+export function savePrecedents(sessionId, runId, precedents) {
+  const insert = db.prepare(`
+    INSERT INTO precedents (id, session_id, run_id, precedent_session_id, decision_id, rank, score, matched_terms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    db.prepare('DELETE FROM precedents WHERE run_id = ?').run(runId);
+    precedents.forEach((p, i) => {
+      insert.run(uuidv4(), sessionId, runId, p.session_id, p.decision_id, i + 1, p.score, JSON.stringify(p.matched_terms));
+    });
+    db.prepare('UPDATE runs SET precedents_searched_at = CURRENT_TIMESTAMP WHERE id = ?').run(runId);
+  })();
+}
+
+/**
+ * Whether the run has looked up its precedents already (it may have found none)
+ */
+export function precedentsSearched(runId) {
+  return Boolean(db.prepare('SELECT precedents_searched_at FROM runs WHERE id = ?').get(runId)?.precedents_searched_at);
+}
+
+/**
+ * The precedents a run's board was shown, with their decisions as they stand now
+ * (an outcome recorded since shows up here)
+ *
+ * @returns {Object[]} - Closest first
+ */
+export function getRunPrecedents(runId) {
+  return db.prepare('SELECT * FROM precedents WHERE run_id = ? ORDER BY rank').all(runId)
+    .map(row => hydrate({
+      session_id: row.precedent_session_id,
+      decision_id: row.decision_id,
+      score: row.score,
+      matched_terms: JSON.parse(row.matched_terms || '[]')
+    }))
+    .filter(Boolean);
+}
+
+export default { precedentSettings, memoTerms, findPrecedents, savePrecedents, precedentsSearched, getRunPrecedents };
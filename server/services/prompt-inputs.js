@@ -0,0 +1,262 @@
+/**
+ * Prompt Inputs
+ *
+ * The user messages each phase of a board meeting sends: the memo, the board's
+ * briefing and precedents, rebuttal and synthesis rounds, and the retro. Pure functions of
+ * their arguments, so the prompt tests build exactly what a meeting would.
+ */
+
+import { BOARD_MEMBER_FIELDS } from './schemas.js';
+import { formatAttachmentsForPrompt } from './attachments.js';
+
+export function parseMemo(memo) {
+  return {
+    context: JSON.parse(memo.context || '[]'),
+    decision_required: memo.decision_required,
+    options: JSON.parse(memo.options || '[]'),
+    constraints: JSON.parse(memo.constraints || '{}'),
+    success_metrics: JSON.parse(memo.success_metrics || '[]'),
+    questions_for_board: JSON.parse(memo.questions_for_board || '[]'),
+    attachments: JSON.parse(memo.attachments || '[]'),
+    template_fields: JSON.parse(memo.template_fields || '[]')
+  };
+}
+
+export function formatMemoForPrompt(memo) {
+  return `
+## Board Memo
+
+### Context
+${memo.context.map(c => `- ${c}`).join('\n')}
+
+### Decision Required
+${memo.decision_required}
+
+### Options
+${memo.options.map((o, i) => `${i + 1}. ${o.description || o}`).join('\n')}
+
+### Constraints
+- Time: ${memo.constraints.time || 'Not specified'}
+- Budget: ${memo.constraints.budget || 'Not specified'}
+- Risk Tolerance: ${memo.constraints.risk_tolerance || 'Medium'}
+${memo.constraints.politics ? `- Political considerations: ${memo.constraints.politics}` : ''}
+${memo.template_fields?.length ? `### Key Details
+${memo.template_fields.map(f => `- ${f.label}: ${f.value}`).join('\n')}
+` : ''}
+### Success Metrics
+${memo.success_metrics.map(m => `- ${m}`).join('\n')}
+
+### Questions for the Board
+${memo.questions_for_board.map((q, i) => `${i + 1}. ${q}`).join('\n')}
+
+${formatAttachmentsForPrompt(memo.attachments)}
+`.trim();
+}
+
+export function formatBoardInput(memoText, briefing) {
+  const normalized = briefing.normalized_memo || {};
+  const list = (items) => (items || []).map(i => `- ${i}`).join('\n') || '- None';
+
+  return `
+${memoText}
+
+---
+
+## Secretary Briefing
+
+### Core Question
+${normalized.core_question || 'Not specified'}
+
+### Context Summary
+${normalized.context_summary || 'Not specified'}
+
+### Options
+${list(normalized.options_summary)}
+
+### Key Constraints
+${list(normalized.key_constraints)}
+
+### Assumptions to Scrutinize
+${list(briefing.extracted_assumptions)}
+${briefing.missing_information?.length ? `
+### Known Gaps (information the Secretary flagged as missing)
+${list(briefing.missing_information)}
+` : ''}`.trim();
+}
+
+// Earlier decisions of the Chair's on similar questions (see precedents.js), closest first
+export function formatPrecedentsInput(boardInput, precedents) {
+  if (!precedents?.length) return boardInput;
+
+  const entries = precedents.map((p, i) => {
+    const reviewed = p.outcome
+      ? `- **Outcome:** ${p.outcome}${p.outcome_rating ? ` (rated ${p.outcome_rating}/5)` : ''}
+- **Did the key assumption hold?** ${ASSUMPTION_HELD_LABELS[p.assumption_held] || 'Not recorded'}
+${p.retrospective ? `- **The Chair's retrospective:** ${p.retrospective}\n` : ''}${p.lessons.length ? `- **Lessons:** ${p.lessons.join('; ')}\n` : ''}`
+      : '- **Outcome:** Not yet recorded\n';
+    return `
+### Precedent ${i + 1}: ${p.decision_required || p.decision_statement} (decided ${(p.decided_at || '').slice(0, 10)})
+- **Decision:** ${p.decision_statement}
+- **Rationale:** ${p.rationale || 'Not recorded'}
+- **Key Assumption:** ${p.assumption_to_test || 'Not recorded'}
+${reviewed}`;
+  }).join('');
+
+  return `
+${boardInput}
+
+---
+
+## Precedent: Similar Decisions the Chair Made Before
+${entries}
+Where a precedent bears on this decision, cite it ("Precedent 1") and say what its outcome suggests here.
+Weigh how similar the situations really are; ignore precedents that do not apply.
+`.trim();
+}
+
+// A persona's instructions plus what the memo's category template adds for it (see templates.js)
+export function withCategoryAddendum(instructions, template, personaId) {
+  const addendum = template?.prompt_addenda?.[personaId];
+  if (!addendum) return instructions;
+
+  return `${instructions}
+
+## For ${template.name} Decisions
+${addendum}`;
+}
+
+// Persona-specific sections (pre-mortem, thresholds, ...) beyond the shared board member fields
+function formatPersonaSections(parsed) {
+  return Object.entries(parsed)
+    .filter(([key]) => !BOARD_MEMBER_FIELDS.includes(key))
+    .map(([key, value]) => {
+      const label = key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+      return `- **${label}:** ${typeof value === 'string' ? value : JSON.stringify(value)}\n`;
+    })
+    .join('');
+}
+
+function formatMemberSummary({ persona, name, result }) {
+  const p = result.parsed || {};
+  return `
+### ${(name || persona).toUpperCase()}
+- **Position:** ${p.position || 'N/A'}
+- **Top Reasons:** ${(p.top_reasons || []).join('; ')}
+- **Top Risks:** ${(p.top_risks || []).join('; ')}
+- **Confidence:** ${p.confidence || 'N/A'}
+${formatPersonaSections(p)}`;
+}
+
+export function formatRebuttalInput(boardInput, persona, previousResults, round, rounds) {
+  const own = previousResults.find(r => r.persona === persona.id);
+  const others = previousResults.filter(r => r.persona !== persona.id);
+
+  return `
+${boardInput}
+
+---
+
+## Debate Round ${round} of ${rounds}
+
+### Your Position in Round ${round - 1}
+- **Position:** ${own?.result.parsed?.position || 'N/A'}
+- **Confidence:** ${own?.result.parsed?.confidence || 'N/A'}
+
+## Other Board Members' Positions in Round ${round - 1}
+${others.map(formatMemberSummary).join('\n')}
+
+---
+
+Respond to the other board members. Rebut the arguments you disagree with and concede the ones that change your view.
+Revise your position or confidence only if the arguments warrant it. Set position_changed accordingly, and use change_explanation to say what changed your mind, or why you held your ground.
+`.trim();
+}
+
+const ASSUMPTION_HELD_LABELS = {
+  yes: 'Yes',
+  partially: 'Partially',
+  no: 'No',
+  unknown: 'Unknown'
+};
+
+export function formatRetroInput(memo, decision, synthesis) {
+  const list = (items) => (items || []).map(i => `- ${i}`).join('\n') || '- None';
+  const guardrails = JSON.parse(decision.execution_guardrails || '[]');
+  const preMortem = JSON.parse(decision.pre_mortem || '{}');
+  const original = synthesis?.structured_output ? JSON.parse(synthesis.structured_output) : null;
+
+  return `
+## Original Memo
+${memo ? formatMemoForPrompt(parseMemo(memo)) : 'Not available'}
+
+---
+
+## The Board's Recommendation (decided ${decision.created_at.slice(0, 10)})
+- **Decision:** ${decision.decision_statement}
+- **Rationale:** ${decision.rationale || 'Not recorded'}
+- **Key Assumption to Test:** ${decision.assumption_to_test || 'Not recorded'}
+
+### Execution Guardrails
+${list(guardrails)}
+
+### Pre-Mortem
+${preMortem.most_likely_failure_mode ? `- **Most likely failure mode:** ${preMortem.most_likely_failure_mode}\n` : ''}${list(preMortem.failure_modes)}
+${original ? `
+### Areas of Disagreement at the Time
+${list(original.disagreement_areas)}
+` : ''}
+---
+
+## What Actually Happened (reviewed ${(decision.reviewed_at || '').slice(0, 10) || 'recently'})
+- **Outcome rating:** ${decision.outcome_rating ? `${decision.outcome_rating}/5` : 'Not rated'} (1 = much worse than hoped, 5 = much better)
+- **Did the key assumption hold?** ${ASSUMPTION_HELD_LABELS[decision.assumption_held] || 'Not recorded'}
+
+### Outcome
+${decision.outcome}
+
+### The Chair's Retrospective Notes
+${decision.retrospective || 'None'}
+
+---
+
+This is a retro board meeting. Compare the board's recommendation with what actually happened.
+Be honest about what the board got right and what it missed, judge whether the key assumption held,
+and draw lessons the Chair can apply to future decisions.
+`.trim();
+}
+
+export function formatSynthesisInput(boardInput, boardResults, rounds = 1) {
+  const boardSummary = boardResults.filter(r => !r.result.error).map(formatMemberSummary).join('\n');
+  const absent = boardResults.filter(r => r.result.error).map(r => r.name || r.persona);
+  const debateNote = rounds > 1
+    ? `\nThese are the final positions after ${rounds} rounds of debate. Note who changed their mind and why.\n`
+    : '';
+  const absentNote = absent.length
+    ? `\n${absent.join(', ')} could not respond${rounds > 1 ? ' in the final round' : ''}. Synthesize from the members who did, and say which perspective is missing.\n`
+    : '';
+
+  return `
+## Original Memo
+${boardInput}
+
+---
+
+## Board Member Responses
+${debateNote}${absentNote}${boardSummary}
+
+---
+
+Please synthesize these perspectives into a single, coherent recommendation.
+`.trim();
+}
+
+export default {
+  parseMemo,
+  formatMemoForPrompt,
+  formatBoardInput,
+  formatPrecedentsInput,
+  withCategoryAddendum,
+  formatRebuttalInput,
+  formatRetroInput,
+  formatSynthesisInput
+};
@@ -0,0 +1,126 @@
+/**
+ * Anthropic Messages API provider
+ *
+ * Environment Variables Used:
+ *   ANTHROPIC_API_KEY - Required API key
+ *   ANTHROPIC_MODEL - Default model (default: claude-sonnet-4-5)
+ *
+ * Reasoning effort maps to an extended thinking budget. The Messages API has no
+ * strict JSON schema mode, so the schema is appended to the system prompt.
+ *
+ * Reference: https://docs.anthropic.com/en/api/messages
+ */
+
+import { readEventStream } from './sse.js';
+import { ProviderError, responseError } from './errors.js';
+
+const API_VERSION = '2023-06-01';
+
+// Extended thinking budget per reasoning effort (none/minimal disable thinking)
+const THINKING_BUDGETS = {
+  none: 0,
+  minimal: 0,
+  low: 1024,
+  medium: 4096,
+  high: 8192,
+  xhigh: 16384
+};
+
+export class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseUrl = options.baseUrl || 'https://api.anthropic.com/v1';
+    this.defaultModel = options.model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete(request) {
+    if (!this.apiKey) {
+      throw new ProviderError('ANTHROPIC_API_KEY is not set. Add it to your .env file to use the anthropic provider.', { retryable: false });
+    }
+
+    const { model, instructions, input, jsonSchema, reasoningEffort, maxTokens, onDelta } = request;
+    const thinkingBudget = THINKING_BUDGETS[reasoningEffort] || 0;
+
+    let system = instructions;
+    if (jsonSchema) {
+      system += '\n\nRespond with a single JSON object only, no prose or code fences, matching this JSON schema:\n' +
+        JSON.stringify(jsonSchema.schema || jsonSchema);
+    }
+
+    const body = {
+      model: model || this.defaultModel,
+      // max_tokens covers thinking too, so leave room for the answer
+      max_tokens: maxTokens + thinkingBudget,
+      system,
+      messages: typeof input === 'string'
+        ? [{ role: 'user', content: input }]
+        : input,
+      ...(thinkingBudget && { thinking: { type: 'enabled', budget_tokens: thinkingBudget } }),
+      ...(onDelta && { stream: true })
+    };
+
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) throw await responseError('Anthropic Messages API', response);
+
+    if (onDelta) return this.readStream(response, onDelta);
+    return this.parseResponse(await response.json());
+  }
+
+  /**
+   * Read a streamed reply, forwarding text deltas (thinking deltas are skipped)
+   */
+  async readStream(response, onDelta) {
+    let raw = '';
+    let responseId = null;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    await readEventStream(response.body, ({ data }) => {
+      const event = JSON.parse(data);
+      if (event.type === 'message_start') {
+        responseId = event.message.id;
+        Object.assign(usage, event.message.usage);
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        raw += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage.output_tokens = event.usage.output_tokens;
+      } else if (event.type === 'error') {
+        throw new ProviderError(`Anthropic Messages API stream error: ${event.error?.message || 'stream failed'}`);
+      }
+    });
+
+    return { raw, tokens: this.parseUsage(usage), responseId };
+  }
+
+  parseResponse(data) {
+    const raw = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return { raw, tokens: this.parseUsage(data.usage), responseId: data.id };
+  }
+
+  // Thinking tokens are billed as output but not reported separately
+  parseUsage(usage = {}) {
+    const input = usage.input_tokens || 0;
+    const output = usage.output_tokens || 0;
+    return { input, output, reasoning: 0, total: input + output };
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,62 @@
+/**
+ * Provider errors
+ *
+ * Providers throw a ProviderError so LLMClient can decide on retries from the
+ * HTTP status rather than the message text. Network failures (no status),
+ * timeouts, rate limits and server errors are retryable; other 4xx and missing
+ * credentials are not.
+ */
+
+// Longest Retry-After we honor; anything longer fails the call instead of stalling the meeting
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number|null} options.status - HTTP status, if the API answered
+   * @param {number|null} options.retryAfterMs - Wait the API asked for (Retry-After)
+   * @param {boolean} options.retryable - Override the status-based default
+   */
+  constructor(message, { status = null, retryAfterMs = null, retryable } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable ?? (status === null || status >= 500 || RETRYABLE_STATUSES.includes(status));
+  }
+}
+
+/**
+ * Parse a Retry-After header: delay in seconds, or an HTTP date
+ *
+ * @returns {number|null} - Milliseconds to wait, or null if absent or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const ms = /^\d+(\.\d+)?$/.test(value.trim())
+    ? parseFloat(value) * 1000
+    : Date.parse(value) - now;
+  return Number.isFinite(ms) ? Math.max(ms, 0) : null;
+}
+
+/**
+ * Build the error for a failed API response
+ *
+ * @param {string} label - e.g. 'OpenAI Responses API'
+ * @param {Response} response - fetch response with !response.ok
+ */
+export async function responseError(label, response) {
+  const errorText = await response.text();
+  const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  return new ProviderError(`${label} error (${response.status}): ${errorText}`, {
+    status: response.status,
+    retryAfterMs,
+    // A rate limit that wants us gone for minutes won't clear within the meeting
+    ...(retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS && { retryable: false })
+  });
+}
+
+export default { ProviderError, parseRetryAfter, responseError };
@@ -0,0 +1,38 @@
+/**
+ * LLM Providers
+ *
+ * Every provider exposes the same interface:
+ *   complete(request) -> Promise<{ raw, tokens: { input, output, reasoning, total }, responseId }>
+ *   isConfigured()    -> whether credentials are present
+ *
+ * where request is { personaId, model, instructions, input, jsonSchema,
+ * reasoningEffort, verbosity, includeReasoning, maxTokens, onDelta }.
+ * LLMClient resolves defaults, parses JSON and retries; providers only make the call.
+ */
+
+import { OpenAIProvider } from './openai.js';
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { MockProvider } from './mock.js';
+
+const PROVIDER_CLASSES = {
+  'openai': OpenAIProvider,
+  'anthropic': AnthropicProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'mock': MockProvider
+};
+
+export const PROVIDERS = Object.keys(PROVIDER_CLASSES);
+
+/**
+ * Create a provider by name
+ */
+export function createProvider(name, options = {}) {
+  const Provider = PROVIDER_CLASSES[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Options: ${PROVIDERS.join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+export default { PROVIDERS, createProvider };
@@ -0,0 +1,136 @@
+/**
+ * Offline mock provider, for development and demos without an API key.
+ *
+ * Environment Variables Used:
+ *   LLM_MOCK_FIXTURES - Fixture directory (default: server/fixtures/llm)
+ *
+ * Responses are deterministic. A persona's reply comes from <fixtures>/<personaId>.json
+ * ({ "output": {...} } or { "text": "..." }), or <personaId>.<schema name>.json when a
+ * persona is asked for a different schema (e.g. strategist.strategist_retro.json).
+ * Any schema fields the fixture lacks, or a persona with no fixture at all, are
+ * filled with placeholder values. A fixture's "text" is returned as is, even for
+ * a schema, and { "error": { "status", "message", "retry_after" } } fails the
+ * call instead, for exercising repairs, retries and partial failures.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { ProviderError } from './errors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES_DIR = resolve(__dirname, '../../fixtures/llm');
+
+// Rough token estimate so usage numbers look plausible
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Build a placeholder value that satisfies a JSON schema
+ */
+export function stubFromSchema(schema = {}, key = 'value') {
+  if (schema.enum) return schema.enum[0];
+
+  const type = Array.isArray(schema.type)
+    ? schema.type.find(t => t !== 'null')
+    : schema.type;
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([k, v]) => [k, stubFromSchema(v, k)])
+      );
+    case 'array':
+      return [stubFromSchema(schema.items, key)];
+    case 'string':
+      return `Mock ${key.replace(/_/g, ' ')}`;
+    case 'integer':
+    case 'number':
+      return 1;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+// Fill in any properties the schema requires but the fixture doesn't have
+function fillMissing(value, schema = {}) {
+  if (schema.type !== 'object' || !value || typeof value !== 'object') return value;
+
+  const filled = { ...value };
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    filled[key] = key in filled
+      ? fillMissing(filled[key], propSchema)
+      : stubFromSchema(propSchema, key);
+  }
+  return filled;
+}
+
+export class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixturesDir = options.fixturesDir || process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES_DIR;
+    this.defaultModel = 'mock';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  loadFixture(personaId, schemaName = null) {
+    if (!personaId) return null;
+    const candidates = [
+      ...(schemaName ? [`${personaId}.${schemaName}.json`] : []),
+      `${personaId}.json`
+    ];
+    const path = candidates.map(file => join(this.fixturesDir, file)).find(existsSync);
+    if (!path) return null;
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  }
+
+  async complete(request) {
+    const { personaId, instructions, input, jsonSchema, onDelta } = request;
+    const fixture = this.loadFixture(personaId, jsonSchema?.name) || {};
+    const schema = jsonSchema ? (jsonSchema.schema || jsonSchema) : null;
+
+    if (fixture.error) {
+      const { status = 500, message = 'Mock failure', retry_after: retryAfter = null } = fixture.error;
+      throw new ProviderError(`Mock provider error (${status}): ${message}`, {
+        status,
+        retryAfterMs: retryAfter === null ? null : retryAfter * 1000
+      });
+    }
+
+    let raw;
+    if (fixture.text !== undefined) {
+      raw = fixture.text;
+    } else if (schema) {
+      raw = JSON.stringify(fillMissing(fixture.output || {}, schema));
+    } else {
+      raw = fixture.output ? JSON.stringify(fixture.output) : `Mock response from ${personaId || 'assistant'}.`;
+    }
+
+    if (onDelta) {
+      // Stream in fixed-size chunks so the UI sees progress
+      for (let i = 0; i < raw.length; i += 40) onDelta(raw.slice(i, i + 40));
+    }
+
+    const inputText = instructions + (typeof input === 'string' ? input : JSON.stringify(input));
+    const tokens = fixture.usage || {
+      input: estimateTokens(inputText),
+      output: estimateTokens(raw),
+      reasoning: 0
+    };
+
+    return {
+      raw,
+      tokens: { ...tokens, total: tokens.total || tokens.input + tokens.output },
+      responseId: `mock-${personaId || 'response'}`
+    };
+  }
+}
+
+export default MockProvider;
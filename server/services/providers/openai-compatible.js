@@ -0,0 +1,111 @@
+/**
+ * OpenAI-compatible Chat Completions provider, for local servers such as Ollama,
+ * LM Studio or llama.cpp.
+ *
+ * Environment Variables Used:
+ *   LOCAL_LLM_BASE_URL - Server URL (default: http://localhost:11434/v1, Ollama)
+ *   LOCAL_LLM_MODEL - Default model (default: llama3.1)
+ *   LOCAL_LLM_API_KEY - Optional API key, for servers that require one
+ *
+ * Reasoning effort and verbosity are not sent; most local models ignore them.
+ */
+
+import { readEventStream } from './sse.js';
+import { responseError } from './errors.js';
+
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai-compatible';
+    this.apiKey = options.apiKey || process.env.LOCAL_LLM_API_KEY || null;
+    this.baseUrl = options.baseUrl || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1';
+    this.defaultModel = options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1';
+  }
+
+  // A local server needs no key
+  isConfigured() {
+    return true;
+  }
+
+  async complete(request) {
+    const { model, instructions, input, jsonSchema, maxTokens, onDelta } = request;
+
+    const body = {
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      messages: [
+        { role: 'system', content: instructions },
+        ...(typeof input === 'string' ? [{ role: 'user', content: input }] : input)
+      ]
+    };
+
+    if (jsonSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: jsonSchema.name || 'response_schema',
+          strict: true,
+          schema: jsonSchema.schema || jsonSchema
+        }
+      };
+    }
+
+    if (onDelta) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) throw await responseError('OpenAI-compatible API', response);
+
+    if (onDelta) return this.readStream(response, onDelta);
+
+    const data = await response.json();
+    return {
+      raw: data.choices?.[0]?.message?.content || '',
+      tokens: this.parseUsage(data.usage),
+      responseId: data.id
+    };
+  }
+
+  async readStream(response, onDelta) {
+    let raw = '';
+    let responseId = null;
+    let usage = null;
+
+    await readEventStream(response.body, ({ data }) => {
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      responseId = responseId || chunk.id;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        raw += delta;
+        onDelta(delta);
+      }
+      if (chunk.usage) usage = chunk.usage;
+    });
+
+    return { raw, tokens: this.parseUsage(usage), responseId };
+  }
+
+  parseUsage(usage) {
+    const input = usage?.prompt_tokens || 0;
+    const output = usage?.completion_tokens || 0;
+    return {
+      input,
+      output,
+      reasoning: usage?.completion_tokens_details?.reasoning_tokens || 0,
+      total: usage?.total_tokens || input + output
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
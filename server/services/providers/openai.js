@@ -0,0 +1,145 @@
+/**
+ * OpenAI Responses API provider (GPT-5.2)
+ *
+ * Environment Variables Used:
+ *   OPENAI_API_KEY - Required API key
+ *
+ * Reference: https://platform.openai.com/docs/guides/latest-model
+ */
+
+import { readEventStream } from './sse.js';
+import { ProviderError, responseError } from './errors.js';
+
+export class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = options.baseUrl || 'https://api.openai.com/v1';
+    this.defaultModel = options.model || 'gpt-5.2';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete(request) {
+    if (!this.apiKey) {
+      throw new ProviderError(
+        'OPENAI_API_KEY is not set. Please create a .env file with your API key.\n' +
+        'Copy .env.example to .env and add your key, or set LLM_PROVIDER=mock to run offline.',
+        { retryable: false }
+      );
+    }
+
+    const { model, instructions, input, jsonSchema, reasoningEffort, verbosity, includeReasoning, maxTokens, onDelta } = request;
+
+    // Build the request body for Responses API
+    const body = {
+      model: model || this.defaultModel,
+      max_output_tokens: maxTokens,
+
+      // Instructions replace the old "system" message
+      instructions: instructions,
+
+      // Input can be a string or array of message objects
+      input: typeof input === 'string'
+        ? [{ role: 'user', content: input }]
+        : input,
+
+      // Reasoning configuration
+      reasoning: {
+        effort: reasoningEffort,
+        ...(includeReasoning && { summary: 'auto' })
+      },
+
+      // Verbosity control
+      text: {
+        verbosity: verbosity
+      }
+    };
+
+    // Add structured output format if JSON schema provided
+    if (jsonSchema) {
+      body.text.format = {
+        type: 'json_schema',
+        strict: true,
+        name: jsonSchema.name || 'response_schema',
+        schema: jsonSchema.schema || jsonSchema
+      };
+    }
+
+    if (onDelta) body.stream = true;
+
+    const response = await fetch(`${this.baseUrl}/responses`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) throw await responseError('OpenAI Responses API', response);
+
+    const data = onDelta
+      ? await this.readStream(response, onDelta)
+      : await response.json();
+    return this.parseResponse(data);
+  }
+
+  /**
+   * Read a streamed reply, forwarding text deltas.
+   * Resolves with the final response object from the response.completed event.
+   */
+  async readStream(response, onDelta) {
+    let completed = null;
+
+    await readEventStream(response.body, ({ data }) => {
+      if (data === '[DONE]') return;
+
+      const event = JSON.parse(data);
+      if (event.type === 'response.output_text.delta') {
+        onDelta(event.delta || '');
+      } else if (event.type === 'response.completed') {
+        completed = event.response;
+      } else if (event.type === 'response.failed' || event.type === 'error') {
+        const message = event.response?.error?.message || event.message || 'stream failed';
+        throw new ProviderError(`OpenAI Responses API stream error: ${message}`);
+      }
+    });
+
+    if (!completed) throw new ProviderError('OpenAI Responses API stream ended without a completed response');
+    return completed;
+  }
+
+  /**
+   * Parse the Responses API response
+   */
+  parseResponse(data) {
+    // Use output_text helper if available, otherwise extract from output array
+    let rawText = data.output_text || '';
+
+    if (!rawText && data.output && Array.isArray(data.output)) {
+      for (const item of data.output) {
+        if (item.type === 'message' && item.content) {
+          for (const content of item.content) {
+            if (content.type === 'output_text' || content.type === 'text') {
+              rawText += content.text || '';
+            }
+          }
+        }
+      }
+    }
+
+    const tokens = {
+      input: data.usage?.input_tokens || 0,
+      output: data.usage?.output_tokens || 0,
+      reasoning: data.usage?.output_tokens_details?.reasoning_tokens || 0,
+      total: data.usage?.total_tokens || 0
+    };
+
+    return { raw: rawText, tokens, responseId: data.id };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,35 @@
+/**
+ * Minimal Server-Sent Events reader for streamed provider responses.
+ */
+
+/**
+ * Read an SSE body, calling onEvent({ event, data }) for each event.
+ * `data` is the raw data string; providers parse it themselves.
+ *
+ * @param {AsyncIterable<Uint8Array>} body - fetch response body
+ * @param {Function} onEvent
+ */
+export async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (chunk) => {
+    let event = 'message';
+    const data = [];
+    for (const line of chunk.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    if (data.length) onEvent({ event, data: data.join('\n') });
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
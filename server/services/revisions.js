@@ -0,0 +1,268 @@
+/**
+ * Memo Revisions, Runs & Forks
+ *
+ * Saving a memo updates the memos row and snapshots it into memo_revisions under
+ * the next version number. Each board meeting is a run against the memo version
+ * it read, and a revision the board has met on is never changed afterwards.
+ * Forking copies a session's memo, attachments and tags into a new draft.
+ */
+
+import { existsSync, copyFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+import { attachmentFilePath, describeAttachment } from './attachments.js';
+import { getSessionTags, setSessionTags } from './search.js';
+
+const MEMO_FIELDS = [
+  'context', 'decision_required', 'options', 'constraints',
+  'success_metrics', 'questions_for_board', 'attachments', 'template_fields'
+];
+
+// Memo as stored: JSON columns serialized
+function toRow(memo) {
+  return {
+    context: JSON.stringify(memo.context || []),
+    decision_required: memo.decision_required,
+    options: JSON.stringify(memo.options || []),
+    constraints: JSON.stringify(memo.constraints || {}),
+    success_metrics: JSON.stringify(memo.success_metrics || []),
+    questions_for_board: JSON.stringify(memo.questions_for_board || []),
+    attachments: JSON.stringify(memo.attachments || []),
+    // NULL when empty, as in memos saved before templates existed, so re-saving one isn't a change
+    template_fields: memo.template_fields?.length ? JSON.stringify(memo.template_fields) : null
+  };
+}
+
+function insertRevision(sessionId, version, row) {
+  db.prepare(`
+    INSERT INTO memo_revisions (id, session_id, version, ${MEMO_FIELDS.join(', ')})
+    VALUES (?, ?, ?, ${MEMO_FIELDS.map(() => '?').join(', ')})
+  `).run(uuidv4(), sessionId, version, ...MEMO_FIELDS.map(f => row[f]));
+}
+
+function insertMemo(sessionId, row) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO memos (id, session_id, ${MEMO_FIELDS.join(', ')}, version)
+    VALUES (?, ?, ${MEMO_FIELDS.map(() => '?').join(', ')}, 1)
+  `).run(id, sessionId, ...MEMO_FIELDS.map(f => row[f]));
+  insertRevision(sessionId, 1, row);
+  return id;
+}
+
+function hasRun(sessionId, version) {
+  return Boolean(db.prepare('SELECT 1 FROM runs WHERE session_id = ? AND memo_version = ?').get(sessionId, version));
+}
+
+/**
+ * Why the session's memo can't change right now, or null if it can. The memo,
+ * attachments included, stays as the board read it while it meets and once the
+ * decision is final.
+ */
+export function memoLockReason(sessionId) {
+  const session = db.prepare('SELECT status FROM sessions WHERE id = ?').get(sessionId);
+  if (session?.status === 'running') {
+    return 'The board is meeting on this memo; wait for the meeting to finish';
+  }
+  if (db.prepare('SELECT 1 FROM decisions WHERE session_id = ?').get(sessionId)) {
+    return 'The decision for this session is final; fork the session to explore a variant';
+  }
+  return null;
+}
+
+function assertMemoUnlocked(sessionId) {
+  const reason = memoLockReason(sessionId);
+  if (reason) throw new Error(reason);
+}
+
+/**
+ * Save a session's memo. Changed content becomes a new revision; saving the
+ * same content again keeps the current version. Throws if the memo is locked
+ * (see memoLockReason).
+ *
+ * @param {string} sessionId
+ * @param {Object} memo - Memo fields as parsed JSON
+ * @returns {Object} - { id, version, changed }
+ */
+export function saveMemo(sessionId, memo) {
+  assertMemoUnlocked(sessionId);
+  const current = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId);
+  const row = toRow(memo);
+
+  if (!current) return { id: db.transaction(insertMemo)(sessionId, row), version: 1, changed: true };
+  if (MEMO_FIELDS.every(f => current[f] === row[f])) {
+    return { id: current.id, version: current.version, changed: false };
+  }
+
+  const version = current.version + 1;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE memos SET ${MEMO_FIELDS.map(f => `${f} = ?`).join(', ')}, version = ? WHERE id = ?
+    `).run(...MEMO_FIELDS.map(f => row[f]), version, current.id);
+    insertRevision(sessionId, version, row);
+  })();
+
+  return { id: current.id, version, changed: true };
+}
+
+/**
+ * Replace the memo's attachments. Uploads before the board meets belong to the
+ * current revision; once the board has met on it, the change starts a new one.
+ * Throws if the memo is locked (see memoLockReason).
+ *
+ * @returns {number|null} - The memo version, or null if the session has no memo
+ */
+export function setMemoAttachments(sessionId, attachments) {
+  const current = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId);
+  if (!current) return null;
+  assertMemoUnlocked(sessionId);
+
+  const json = JSON.stringify(attachments);
+  const startsRevision = hasRun(sessionId, current.version);
+  const version = startsRevision ? current.version + 1 : current.version;
+
+  db.transaction(() => {
+    db.prepare('UPDATE memos SET attachments = ?, version = ? WHERE id = ?').run(json, version, current.id);
+    const updated = !startsRevision && db.prepare(`
+      UPDATE memo_revisions SET attachments = ? WHERE session_id = ? AND version = ?
+    `).run(json, sessionId, version).changes;
+    if (!updated) insertRevision(sessionId, version, { ...current, attachments: json });
+  })();
+
+  return version;
+}
+
+/**
+ * Every revision of a session's memo, oldest first (attachment text left out)
+ */
+export function getMemoRevisions(sessionId) {
+  return db.prepare('SELECT * FROM memo_revisions WHERE session_id = ? ORDER BY version').all(sessionId)
+    .map(r => ({ ...r, attachments: JSON.stringify(JSON.parse(r.attachments || '[]').map(describeAttachment)) }));
+}
+
+/**
+ * Start a run of the board on the session's current memo version
+ *
+ * @returns {Object} - The run
+ */
+export function startRun(sessionId, { debateRounds = null } = {}) {
+  const memo = db.prepare('SELECT version FROM memos WHERE session_id = ?').get(sessionId);
+  if (!memo) throw new Error('No memo found for session');
+
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO runs (id, session_id, run_number, memo_version, debate_rounds)
+    VALUES (?, ?, (SELECT COALESCE(MAX(run_number), 0) + 1 FROM runs WHERE session_id = ?), ?, ?)
+  `).run(id, sessionId, sessionId, memo.version, debateRounds);
+  return db.prepare('SELECT * FROM runs WHERE id = ?').get(id);
+}
+
+export function finishRun(runId, status) {
+  db.prepare('UPDATE runs SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, runId);
+}
+
+/**
+ * The session's latest run, if it failed and the memo hasn't changed since, so
+ * it can be resumed rather than started over
+ *
+ * @returns {Object|null} - The run
+ */
+export function getResumableRun(sessionId) {
+  return db.prepare(`
+    SELECT ru.* FROM runs ru JOIN memos m ON m.session_id = ru.session_id
+    WHERE ru.session_id = ? AND ru.status = 'failed' AND ru.memo_version = m.version
+      AND ru.run_number = (SELECT MAX(run_number) FROM runs WHERE session_id = ru.session_id)
+  `).get(sessionId) || null;
+}
+
+export function reopenRun(runId) {
+  db.prepare(`UPDATE runs SET status = 'running', completed_at = NULL WHERE id = ?`).run(runId);
+}
+
+/**
+ * A session's runs, oldest first, with their spend
+ */
+export function getRuns(sessionId) {
+  return db.prepare(`
+    SELECT ru.*,
+      COUNT(r.id) AS responses,
+      COALESCE(SUM(r.tokens_used), 0) AS tokens_used,
+      SUM(r.cost_usd) AS cost_usd
+    FROM runs ru
+    LEFT JOIN responses r ON r.run_id = ru.id
+    WHERE ru.session_id = ?
+    GROUP BY ru.id
+    ORDER BY ru.run_number
+  `).all(sessionId);
+}
+
+/**
+ * A run's responses: the latest run unless runNumber picks another.
+ * Sessions from before runs were recorded have responses with no run.
+ *
+ * @returns {Object|null} - { run, responses }, or null if runNumber doesn't exist
+ */
+export function getRunResponses(sessionId, runNumber = null) {
+  const run = runNumber
+    ? db.prepare('SELECT * FROM runs WHERE session_id = ? AND run_number = ?').get(sessionId, parseInt(runNumber, 10))
+    : db.prepare('SELECT * FROM runs WHERE session_id = ? ORDER BY run_number DESC LIMIT 1').get(sessionId);
+  if (runNumber && !run) return null;
+
+  const responses = run
+    ? db.prepare('SELECT * FROM responses WHERE run_id = ? ORDER BY round, created_at').all(run.id)
+    : db.prepare(`SELECT * FROM responses WHERE session_id = ? AND kind = 'meeting' ORDER BY round, created_at`).all(sessionId);
+  return { run: run || null, responses };
+}
+
+/**
+ * Copy a session's memo (current revision), attachments and tags into a new
+ * draft session in the same workspace, to explore a what-if variant without
+ * touching the original
+ *
+ * @param {string} sessionId
+ * @param {string} ownerId - User the fork belongs to (default: the original's owner)
+ * @returns {string|null} - The new session's id, or null if the session doesn't exist
+ */
+export function forkSession(sessionId, ownerId = null) {
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+  if (!session) return null;
+  const memo = db.prepare('SELECT * FROM memos WHERE session_id = ?').get(sessionId);
+
+  const id = uuidv4();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO sessions (id, category, status, forked_from, owner_id, workspace_id)
+      VALUES (?, ?, 'draft', ?, ?, ?)
+    `).run(id, session.category, sessionId, ownerId || session.owner_id, session.workspace_id);
+
+    if (memo) {
+      // The fork starts its own history at version 1
+      insertMemo(id, memo);
+      for (const attachment of JSON.parse(memo.attachments || '[]')) {
+        const source = attachmentFilePath(sessionId, attachment);
+        const target = attachmentFilePath(id, attachment);
+        if (!source || !target || !existsSync(source)) continue;
+        mkdirSync(dirname(target), { recursive: true });
+        copyFileSync(source, target);
+      }
+    }
+
+    setSessionTags(id, getSessionTags(sessionId));
+  })();
+
+  return id;
+}
+
+export default {
+  saveMemo,
+  setMemoAttachments,
+  getMemoRevisions,
+  startRun,
+  finishRun,
+  getResumableRun,
+  reopenRun,
+  getRuns,
+  getRunResponses,
+  forkSession
+};
@@ -0,0 +1,243 @@
+/**
+ * Structured output schemas for board personas.
+ * Seeded into personas.output_schema; the orchestrator reads them from there.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// Strict mode: every property is required and no others are allowed
+function strictObject(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+// Fields every board member returns; the orchestrator and session view rely on these
+const BOARD_MEMBER_PROPERTIES = {
+  position: { type: 'string' },
+  top_reasons: stringArray,
+  top_risks: stringArray,
+  recommended_modifications: stringArray,
+  validation_metrics: strictObject({
+    '30_day': stringArray,
+    '90_day': stringArray
+  }),
+  confidence: { type: 'string', enum: ['low', 'medium', 'high'] }
+};
+
+export const BOARD_MEMBER_FIELDS = Object.keys(BOARD_MEMBER_PROPERTIES);
+
+/**
+ * Build a board member schema with persona-specific sections on top of the shared fields
+ */
+export function boardMemberSchema(name, extraProperties = {}) {
+  return {
+    name,
+    schema: strictObject({ ...BOARD_MEMBER_PROPERTIES, ...extraProperties })
+  };
+}
+
+// Extra fields a board member returns in debate rounds after the first
+const REBUTTAL_PROPERTIES = {
+  position_changed: { type: 'boolean' },
+  change_explanation: { type: 'string' },
+  rebuttals: {
+    type: 'array',
+    items: strictObject({
+      member: { type: 'string' },
+      argument: { type: 'string' }
+    })
+  }
+};
+
+/**
+ * Extend a persona's output schema with the rebuttal fields for debate rounds
+ */
+export function withRebuttalFields(jsonSchema) {
+  const schema = jsonSchema.schema || jsonSchema;
+  return {
+    name: `${jsonSchema.name || 'response_schema'}_rebuttal`,
+    schema: {
+      ...schema,
+      properties: { ...schema.properties, ...REBUTTAL_PROPERTIES },
+      required: [...(schema.required || []), ...Object.keys(REBUTTAL_PROPERTIES)]
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a parsed model reply against a persona's output schema. Covers the
+ * subset of JSON Schema these schemas use: type, enum, properties, required,
+ * additionalProperties: false and items. Providers without a strict schema
+ * mode (and custom personas' schemas) make this the only guarantee.
+ *
+ * @param {*} value - Parsed reply
+ * @param {Object} jsonSchema - { name, schema } or a bare schema
+ * @returns {string[]} - Problems, e.g. 'top_risks: must be an array'; empty if valid
+ */
+export function validateOutput(value, jsonSchema) {
+  const problems = [];
+
+  const check = (node, schema = {}, path) => {
+    const at = path || 'reply';
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => matchesType(node, type))) {
+      problems.push(`${at}: must be ${types.join(' or ')}, got ${typeOf(node)}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(node)) {
+      problems.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+      return;
+    }
+
+    if (typeOf(node) === 'object') {
+      const properties = schema.properties || {};
+      for (const key of schema.required || []) {
+        if (!(key in node)) problems.push(`${path ? `${path}.` : ''}${key}: is missing`);
+      }
+      for (const [key, child] of Object.entries(node)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (properties[key]) check(child, properties[key], childPath);
+        else if (schema.additionalProperties === false) problems.push(`${childPath}: is not allowed`);
+      }
+    } else if (typeOf(node) === 'array' && schema.items) {
+      node.forEach((item, i) => check(item, schema.items, `${at}[${i}]`));
+    }
+  };
+
+  check(value, jsonSchema?.schema || jsonSchema, '');
+  return problems;
+}
+
+// JSON schemas for structured outputs (enforced by GPT-5.2)
+// Note: OpenAI strict mode requires ALL properties to be in the 'required' array
+export const SCHEMAS = {
+  secretary: {
+    name: 'secretary_briefing',
+    schema: strictObject({
+      normalized_memo: strictObject({
+        context_summary: { type: 'string' },
+        core_question: { type: 'string' },
+        options_summary: stringArray,
+        key_constraints: stringArray
+      }),
+      extracted_assumptions: stringArray,
+      missing_information: stringArray,
+      briefing_ready: { type: 'boolean' },
+      suggested_tags: stringArray
+    })
+  },
+
+  // Generic board member, used for custom personas without their own sections
+  board_member: boardMemberSchema('board_member_output'),
+
+  operator: boardMemberSchema('operator_output', {
+    execution_sequence: {
+      type: 'array',
+      items: strictObject({
+        step: { type: 'integer' },
+        action: { type: 'string' },
+        duration: { type: 'string' },
+        dependency: { type: ['string', 'null'] }
+      })
+    },
+    next_7_days: stringArray
+  }),
+
+  finance: boardMemberSchema('finance_output', {
+    financial_analysis: strictObject({
+      estimated_roi: { type: ['string', 'null'] },
+      payback_period: { type: ['string', 'null'] },
+      downside_exposure: { type: 'string' },
+      opportunity_cost: { type: 'string' },
+      optionality_impact: { type: 'string', enum: ['opens doors', 'closes doors', 'neutral'] }
+    }),
+    thresholds: strictObject({
+      proceed_if: { type: 'string' },
+      stop_if: { type: 'string' }
+    })
+  }),
+
+  craft_expert: boardMemberSchema('craft_expert_output', {
+    craft_assessment: strictObject({
+      approach_quality: { type: 'string', enum: ['strong', 'adequate', 'weak'] },
+      best_practices_alignment: stringArray,
+      common_pitfalls_present: stringArray,
+      recommended_method_changes: stringArray
+    }),
+    sharper_framing: { type: 'string' }
+  }),
+
+  contrarian: boardMemberSchema('contrarian_output', {
+    pre_mortem: strictObject({
+      most_likely_failure_mode: { type: 'string' },
+      hidden_assumptions: stringArray,
+      second_order_effects: stringArray,
+      black_swan_scenario: { type: 'string' }
+    }),
+    counter_proposal: strictObject({
+      alternative: { type: 'string' },
+      rationale: { type: 'string' }
+    })
+  }),
+
+  strategist: {
+    name: 'strategist_synthesis',
+    schema: strictObject({
+      integrated_recommendation: strictObject({
+        decision: { type: 'string' },
+        rationale: { type: 'string' },
+        reversibility: { type: 'string', enum: ['high', 'medium', 'low'] }
+      }),
+      agreement_areas: stringArray,
+      disagreement_areas: stringArray,
+      resolution: { type: 'string' },
+      execution_guardrails: stringArray,
+      pre_mortem: strictObject({
+        failure_modes: stringArray,
+        mitigations: stringArray
+      }),
+      next_actions: {
+        type: 'array',
+        items: strictObject({
+          action: { type: 'string' },
+          owner: { type: 'string' },
+          timeframe: { type: 'string' }
+        })
+      },
+      assumption_to_test: { type: 'string' },
+      decision_statement: { type: 'string' }
+    })
+  },
+
+  // Retro board meeting: the Strategist compares its recommendation with what happened
+  retro: {
+    name: 'strategist_retro',
+    schema: strictObject({
+      verdict: { type: 'string', enum: ['held_up', 'mixed', 'missed'] },
+      summary: { type: 'string' },
+      what_the_board_got_right: stringArray,
+      what_the_board_missed: stringArray,
+      assumption_assessment: { type: 'string' },
+      lessons: stringArray,
+      follow_up: { type: 'string' }
+    })
+  }
+};
+
+export default SCHEMAS;
@@ -0,0 +1,163 @@
+/**
+ * Persona Scorecards
+ *
+ * When a decision is finalized the Chair records where each board member stood
+ * on it (agree or dissent), and once the outcome is known, whose view proved
+ * right. A persona's scorecard tallies those judgements: its hit rate overall,
+ * by stance, by the confidence it stated, and by session category.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+import { getRunResponses } from './revisions.js';
+
+export const STANCES = ['agree', 'dissent'];
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Most recent stances listed on a scorecard
+const TRACK_RECORD_LIMIT = 50;
+
+/**
+ * Check one entry of a stances list: { persona_id, stance?, proved_right? }.
+ * Used as the validate() check for request bodies.
+ *
+ * @returns {string|null} - The problem, or null if the entry is valid
+ */
+export function stanceProblem(entry) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) return 'must be an object';
+  if (typeof entry.persona_id !== 'string' || !entry.persona_id) return 'needs a persona_id';
+  if (entry.stance !== undefined && !STANCES.includes(entry.stance)) return `stance must be one of: ${STANCES.join(', ')}`;
+  if (entry.proved_right !== undefined && entry.proved_right !== null && typeof entry.proved_right !== 'boolean') {
+    return 'proved_right must be true, false or null';
+  }
+  return null;
+}
+
+// Each board member's final-round response on the run the decision was taken on
+function finalResponses(decision) {
+  const run = decision.run_id && db.prepare('SELECT run_number FROM runs WHERE id = ?').get(decision.run_id);
+  const { responses } = getRunResponses(decision.session_id, run?.run_number);
+  const members = responses.filter(r => r.kind === 'meeting' && r.status !== 'failed' && !['secretary', 'strategist'].includes(r.persona_id));
+  const finalRound = Math.max(...members.map(r => r.round || 1));
+  return new Map(members.filter(r => (r.round || 1) === finalRound).map(r => [r.persona_id, r]));
+}
+
+/**
+ * Record stances on a decision and/or judge them. An entry with a stance sets
+ * where the member stood; proved_right (true, false or null to clear) marks
+ * whether their view held up, and needs a stance recorded first.
+ *
+ * @param {string} decisionId
+ * @param {Object[]} entries - [{ persona_id, stance?, proved_right? }]
+ * @throws {Error} - If a member didn't sit on the board or has no stance to judge
+ */
+export function saveStances(decisionId, entries = []) {
+  const decision = db.prepare('SELECT session_id, run_id FROM decisions WHERE id = ?').get(decisionId);
+  const members = finalResponses(decision);
+
+  const upsert = db.prepare(`
+    INSERT INTO stances (id, decision_id, persona_id, response_id, stance, confidence)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (decision_id, persona_id) DO UPDATE SET stance = excluded.stance
+  `);
+  const judge = db.prepare(`
+    UPDATE stances SET proved_right = ?, judged_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+    WHERE decision_id = ? AND persona_id = ?
+  `);
+
+  db.transaction(() => {
+    for (const { persona_id, stance, proved_right } of entries) {
+      if (stance) {
+        const response = members.get(persona_id);
+        if (!response) throw new Error(`${persona_id} did not give a final position on this decision`);
+        upsert.run(uuidv4(), decisionId, persona_id, response.id, stance, response.confidence);
+      }
+      if (proved_right !== undefined) {
+        const judged = proved_right === null ? null : Number(proved_right);
+        if (judge.run(judged, judged, decisionId, persona_id).changes === 0) {
+          throw new Error(`Record where ${persona_id} stood before judging their view`);
+        }
+      }
+    }
+  })();
+}
+
+/**
+ * Each board member's final position on a decision, with their stance and
+ * judgement if recorded (stance null if not)
+ */
+export function getDecisionStances(decisionId) {
+  const decision = db.prepare('SELECT session_id, run_id FROM decisions WHERE id = ?').get(decisionId);
+  const recorded = new Map(
+    db.prepare('SELECT * FROM stances WHERE decision_id = ?').all(decisionId).map(s => [s.persona_id, s])
+  );
+  const name = db.prepare('SELECT name FROM personas WHERE id = ?');
+
+  return [...finalResponses(decision).values()].map(response => {
+    const stance = recorded.get(response.persona_id);
+    return {
+      persona_id: response.persona_id,
+      name: name.get(response.persona_id)?.name || response.persona_id,
+      position: response.position,
+      confidence: stance?.confidence ?? response.confidence,
+      stance: stance?.stance ?? null,
+      proved_right: stance && stance.proved_right !== null ? Boolean(stance.proved_right) : null,
+      judged_at: stance?.judged_at ?? null
+    };
+  });
+}
+
+// Stances taken, how many were judged, and the share of those that proved right
+function tally(rows) {
+  const judged = rows.filter(r => r.proved_right !== null);
+  const right = judged.filter(r => r.proved_right === 1).length;
+  return {
+    stances: rows.length,
+    judged: judged.length,
+    right,
+    hit_rate: judged.length ? right / judged.length : null
+  };
+}
+
+/**
+ * A persona's track record on a workspace's decisions
+ *
+ * @param {string} personaId
+ * @param {string} workspaceId
+ * @returns {Object} - { persona_id, ...tally, by_stance, calibration, by_category, track_record }
+ */
+export function getScorecard(personaId, workspaceId) {
+  const rows = db.prepare(`
+    SELECT st.decision_id, st.stance, st.confidence, st.proved_right, st.judged_at,
+      d.session_id, d.decision_statement, d.outcome_rating, d.created_at AS decided_at, s.category
+    FROM stances st
+    JOIN decisions d ON d.id = st.decision_id
+    JOIN sessions s ON s.id = d.session_id
+    WHERE st.persona_id = ? AND d.workspace_id = ?
+    ORDER BY d.created_at DESC
+  `).all(personaId, workspaceId);
+
+  const categories = [...new Set(rows.map(r => r.category))].sort();
+
+  return {
+    persona_id: personaId,
+    ...tally(rows),
+    by_stance: Object.fromEntries(STANCES.map(stance => [stance, tally(rows.filter(r => r.stance === stance))])),
+    // Is "high confidence" right more often than "low"? A well-calibrated member's hit rate rises with it
+    calibration: CONFIDENCE_LEVELS.map(confidence => ({
+      confidence,
+      ...tally(rows.filter(r => r.confidence === confidence))
+    })),
+    by_category: categories.map(category => ({
+      category,
+      ...tally(rows.filter(r => r.category === category))
+    })),
+    track_record: rows.slice(0, TRACK_RECORD_LIMIT).map(r => ({
+      ...r,
+      proved_right: r.proved_right === null ? null : Boolean(r.proved_right)
+    }))
+  };
+}
+
+export default { STANCES, stanceProblem, saveStances, getDecisionStances, getScorecard };
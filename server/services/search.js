@@ -0,0 +1,213 @@
+/**
+ * Tags & Search
+ *
+ * Tags belong to a session, so a memo and its decision share them.
+ * Full-text search runs on the search_index FTS5 table, which triggers in
+ * the schema migrations keep in sync with memos, responses and decisions.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/db.js';
+
+export const SEARCH_SOURCES = ['memo', 'response', 'decision'];
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize a tag: lowercase, trimmed, words joined by hyphens
+ */
+export function normalizeTag(tag) {
+  return String(tag).toLowerCase().trim()
+    .replace(/^#/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+export function getSessionTags(sessionId) {
+  return db.prepare('SELECT tag FROM tags WHERE session_id = ? ORDER BY tag').all(sessionId).map(t => t.tag);
+}
+
+/**
+ * Replace a session's tags
+ *
+ * @returns {string[]} - The normalized tags
+ */
+export function setSessionTags(sessionId, tags) {
+  const normalized = [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM tags WHERE session_id = ?').run(sessionId);
+    const insert = db.prepare('INSERT INTO tags (id, session_id, tag) VALUES (?, ?, ?)');
+    for (const tag of normalized) insert.run(uuidv4(), sessionId, tag);
+  })();
+
+  return normalized.sort();
+}
+
+/**
+ * All tags in use in a workspace, with the number of sessions carrying each
+ */
+export function getAllTags(workspaceId) {
+  return db.prepare(`
+    SELECT t.tag, COUNT(*) AS count
+    FROM tags t JOIN sessions s ON s.id = t.session_id
+    WHERE s.workspace_id = ?
+    GROUP BY t.tag ORDER BY count DESC, t.tag
+  `).all(workspaceId);
+}
+
+/**
+ * Turn free text into a safe FTS5 query: every word must match, the last as a prefix.
+ * Quoting each word keeps FTS5 syntax characters in user input from causing errors.
+ */
+export function buildMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  return words
+    .map((word, i) => `"${word}"${i === words.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// Facet filters as SQL conditions; each key can be left out when counting its own facet
+const FILTERS = {
+  workspace: (value) => ({ sql: 's.workspace_id = ?', params: [value] }),
+  category: (value) => ({ sql: 's.category = ?', params: [value] }),
+  status: (value) => ({ sql: 's.status = ?', params: [value] }),
+  tag: (value) => ({ sql: 'EXISTS (SELECT 1 FROM tags t WHERE t.session_id = s.id AND t.tag = ?)', params: [normalizeTag(value)] }),
+  confidence: (value) => ({ sql: 'r.confidence = ?', params: [value] }),
+  source: (value) => ({ sql: 'si.source = ?', params: [value] }),
+  from: (value) => ({ sql: 'date(s.created_at) >= ?', params: [value] }),
+  to: (value) => ({ sql: 'date(s.created_at) <= ?', params: [value] })
+};
+
+const FACETS = {
+  category: `COALESCE(s.category, 'uncategorized')`,
+  status: 's.status',
+  confidence: 'r.confidence',
+  source: 'si.source'
+};
+
+function buildWhere(match, filters, exclude = null) {
+  const conditions = [];
+  const params = [];
+
+  if (match) {
+    conditions.push('search_index MATCH ?');
+    params.push(match);
+  } else {
+    // Without a query, list one hit per decided session
+    conditions.push(`si.source = 'decision'`);
+  }
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!value || key === exclude || !FILTERS[key]) continue;
+    const filter = FILTERS[key](value);
+    conditions.push(filter.sql);
+    params.push(...filter.params);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+const FROM_HITS = `
+  FROM search_index si
+  JOIN sessions s ON s.id = si.session_id
+  LEFT JOIN responses r ON si.source = 'response' AND r.id = si.source_id
+`;
+
+/**
+ * Search memos, persona responses and decisions, with facet counts.
+ * Without q, lists decisions so the same filters browse the Decision Log.
+ *
+ * @param {Object} params - { q, workspace, category, tag, status, confidence, source, from, to, limit }
+ * @returns {Object} - { results, facets, total }
+ */
+export function search({ q, limit = 50, ...filters } = {}) {
+  const match = buildMatchQuery(q);
+  const { where, params } = buildWhere(match, filters);
+
+  const results = db.prepare(`
+    SELECT
+      si.session_id, si.source, si.source_id,
+      ${match ? `snippet(search_index, -1, '<mark>', '</mark>', '…', 16)` : 'si.title'} AS snippet,
+      s.category, s.status, s.created_at,
+      r.persona_id, p.name AS persona_name, r.confidence,
+      d.id AS decision_id, d.decision_statement,
+      m.decision_required,
+      (SELECT group_concat(t.tag, ',') FROM tags t WHERE t.session_id = s.id) AS tags
+    ${FROM_HITS}
+    LEFT JOIN personas p ON p.id = r.persona_id
+    LEFT JOIN decisions d ON d.session_id = s.id
+    LEFT JOIN memos m ON m.session_id = s.id
+    ${where}
+    ORDER BY ${match ? 'bm25(search_index, 0, 0, 0, 5.0, 1.0)' : 's.created_at DESC'}
+    LIMIT ?
+  `).all(...params, parseInt(limit) || 50);
+
+  const total = db.prepare(`SELECT COUNT(*) AS count ${FROM_HITS} ${where}`).get(...params).count;
+
+  // Facet counts apply every other filter, so choosing one value doesn't hide the alternatives
+  const facets = {};
+  for (const [facet, column] of Object.entries(FACETS)) {
+    const scoped = buildWhere(match, filters, facet);
+    facets[facet] = db.prepare(`
+      SELECT ${column} AS value, COUNT(*) AS count
+      ${FROM_HITS}
+      ${scoped.where} AND ${column} IS NOT NULL
+      GROUP BY value ORDER BY count DESC
+    `).all(...scoped.params);
+  }
+
+  const tagScope = buildWhere(match, filters, 'tag');
+  facets.tag = db.prepare(`
+    SELECT t.tag AS value, COUNT(*) AS count
+    ${FROM_HITS}
+    JOIN tags t ON t.session_id = s.id
+    ${tagScope.where}
+    GROUP BY t.tag ORDER BY count DESC, t.tag
+  `).all(...tagScope.params);
+
+  return {
+    results: results.map(r => ({ ...r, tags: r.tags ? r.tags.split(',').sort() : [] })),
+    facets,
+    total
+  };
+}
+
+/**
+ * Rebuild the search index from scratch. Touching each row fires the update
+ * triggers, so the indexing rules live only in the migrations.
+ */
+export function rebuildSearchIndex() {
+  db.transaction(() => {
+    db.prepare('DELETE FROM search_index').run();
+    db.prepare('UPDATE memos SET decision_required = decision_required').run();
+    db.prepare('UPDATE responses SET position = position').run();
+    db.prepare('UPDATE decisions SET decision_statement = decision_statement').run();
+  })();
+  return db.prepare('SELECT COUNT(*) AS count FROM search_index').get().count;
+}
+
+/**
+ * Index existing content on first start after upgrading to full-text search
+ *
+ * @returns {number} - Rows indexed, or 0 if the index was already populated
+ */
+export function ensureSearchIndex() {
+  const indexed = db.prepare('SELECT COUNT(*) AS count FROM search_index').get().count;
+  const hasContent = db.prepare('SELECT 1 FROM memos LIMIT 1').get();
+  if (indexed > 0 || !hasContent) return 0;
+  return rebuildSearchIndex();
+}
+
+export default {
+  SEARCH_SOURCES,
+  normalizeTag,
+  getSessionTags,
+  setSessionTags,
+  getAllTags,
+  buildMatchQuery,
+  search,
+  rebuildSearchIndex,
+  ensureSearchIndex
+};
@@ -0,0 +1,246 @@
+/**
+ * Memo Templates
+ *
+ * A session's category names its memo template: the extra intake fields a memo
+ * in that category asks for (compensation for a career move, runway for a
+ * financial one, ...) and per-persona prompt addenda, instructions added to a
+ * persona's system prompt when the board meets on a memo in that category.
+ *
+ * Like personas, the seeded templates have no workspace and are shared by all;
+ * templates created in a workspace are offered only there.
+ */
+
+import db from '../db/db.js';
+
+export const FIELD_TYPES = ['text', 'textarea', 'number', 'select'];
+
+const FIELD_KEY = /^[a-z][a-z0-9_]*$/;
+
+// Default templates, used to seed an empty memo_templates table and by the prompt tests
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'project',
+    name: 'Project',
+    description: 'Building, launching or changing something: a product, a side project, a process.',
+    fields: [
+      { key: 'goal', label: 'Goal', type: 'text', placeholder: 'What does done look like?' },
+      { key: 'scope', label: 'Scope', type: 'textarea', placeholder: "What's in, and what's explicitly out" },
+      { key: 'stakeholders', label: 'Stakeholders', type: 'text', placeholder: 'Who is affected, and who has to sign off' },
+      { key: 'capacity', label: 'Team and capacity', type: 'text', placeholder: 'e.g., Me plus one contractor, 10 hours a week' }
+    ],
+    prompt_addenda: {
+      operator: 'This is a project decision. Anchor the execution plan on the smallest shippable scope and name the critical path.',
+      'craft-expert': 'Judge the approach against how experienced practitioners scope and sequence this kind of project.',
+      contrarian: 'Look for scope creep, underestimated effort, and stakeholders who could block the project late.'
+    }
+  },
+  {
+    id: 'career',
+    name: 'Career',
+    description: 'Job changes, promotions, offers, going independent.',
+    fields: [
+      { key: 'current_role', label: 'Current role', type: 'text', placeholder: 'e.g., Senior engineer, four years in' },
+      { key: 'compensation', label: 'Compensation', type: 'text', placeholder: 'Current vs. offered: salary, bonus, equity' },
+      { key: 'location', label: 'Location', type: 'text', placeholder: 'e.g., Remote, or relocating from Lisbon to Berlin' },
+      { key: 'timeline', label: 'Timeline', type: 'text', placeholder: 'Notice period, start date, offer deadline' },
+      {
+        key: 'non_negotiables', label: 'Non-negotiables', type: 'textarea',
+        placeholder: 'What you will not trade away', hint: 'Family, health, a visa, a minimum income...'
+      }
+    ],
+    prompt_addenda: {
+      finance: 'This is a career decision. Compare total compensation over two to three years (salary, bonus, equity at a realistic valuation, benefits) and the cost of any move or gap between jobs.',
+      operator: 'Plan the transition: notice and handover, the first 90 days in the new role, and how to keep a fallback open.',
+      contrarian: 'Test whether the Chair is moving toward something or away from something, and what the move closes off.',
+      strategist: 'Weigh reversibility explicitly: which of these career moves could be undone within a year, and at what cost.'
+    }
+  },
+  {
+    id: 'finance',
+    name: 'Finance',
+    description: 'Investments, large purchases, pricing, spending from savings or runway.',
+    fields: [
+      { key: 'amount', label: 'Amount at stake', type: 'text', placeholder: 'e.g., $20,000 upfront' },
+      {
+        key: 'runway_months', label: 'Runway (months)', type: 'number', placeholder: '12',
+        hint: 'How long savings or cash last at the current burn'
+      },
+      { key: 'ongoing_cost', label: 'Ongoing cost', type: 'text', placeholder: 'e.g., $400 a month' },
+      { key: 'expected_return', label: 'Expected return', type: 'text', placeholder: 'What you expect back, and when' },
+      {
+        key: 'liquidity', label: 'Can the money be recovered?', type: 'select',
+        options: ['Fully, at any time', 'Partially', 'Not for years', 'Not at all']
+      }
+    ],
+    prompt_addenda: {
+      secretary: 'Flag the amount at stake, the runway and the expected return as missing information if the memo leaves them out.',
+      finance: 'This is a financial decision. Model the downside against the runway given, and state how many months of runway each option consumes in the bad case.',
+      contrarian: 'Stress-test the expected return: what happens if it arrives a year late, or at half the size?'
+    }
+  }
+];
+
+/**
+ * Seed the default templates if the table is empty.
+ * Runs once on first start; later edits in the database are left alone.
+ *
+ * @returns {number} - Number of templates inserted
+ */
+export function seedTemplates() {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM memo_templates').get();
+  if (count > 0) return 0;
+
+  const insert = db.prepare(`
+    INSERT INTO memo_templates (id, name, description, fields, prompt_addenda)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const t of DEFAULT_TEMPLATES) {
+      insert.run(t.id, t.name, t.description, JSON.stringify(t.fields), JSON.stringify(t.prompt_addenda));
+    }
+  })();
+
+  return DEFAULT_TEMPLATES.length;
+}
+
+/**
+ * Check a template's field definitions
+ *
+ * @returns {string|null} - The problem, or null if the fields are valid
+ */
+export function templateFieldsProblem(fields) {
+  const keys = new Set();
+  for (const [i, field] of fields.entries()) {
+    const at = `item ${i + 1}`;
+    if (field === null || typeof field !== 'object' || Array.isArray(field)) return `${at} must be an object`;
+    if (typeof field.key !== 'string' || !FIELD_KEY.test(field.key)) {
+      return `${at} needs a key of lowercase letters, digits and underscores`;
+    }
+    if (keys.has(field.key)) return `${at} repeats the key "${field.key}"`;
+    keys.add(field.key);
+    if (typeof field.label !== 'string' || !field.label.trim()) return `${at} needs a label`;
+    if (!FIELD_TYPES.includes(field.type)) return `${at} type must be one of: ${FIELD_TYPES.join(', ')}`;
+    if (field.type === 'select' && (!Array.isArray(field.options) || !field.options.length ||
+      field.options.some(o => typeof o !== 'string' || !o.trim()))) {
+      return `${at} is a select and needs a list of options`;
+    }
+    for (const text of ['placeholder', 'hint']) {
+      if (field[text] !== undefined && field[text] !== null && typeof field[text] !== 'string') return `${at} ${text} must be a string`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a template's prompt addenda: persona id -> instructions
+ *
+ * @returns {string|null} - The problem, or null if the addenda are valid
+ */
+export function promptAddendaProblem(addenda) {
+  const invalid = Object.entries(addenda).find(([, text]) => typeof text !== 'string');
+  return invalid ? `for ${invalid[0]} must be a string` : null;
+}
+
+// Only the parts of a field definition the form and the prompt use
+function cleanField({ key, label, type, options, placeholder, hint }) {
+  return {
+    key,
+    label: label.trim(),
+    type,
+    ...(type === 'select' && { options: options.map(o => o.trim()) }),
+    ...(placeholder && { placeholder }),
+    ...(hint && { hint })
+  };
+}
+
+/**
+ * Template fields and addenda as stored: JSON, without blank addenda
+ */
+export function toTemplateRow({ fields, prompt_addenda: addenda }) {
+  return {
+    ...(fields !== undefined && { fields: JSON.stringify(fields.map(cleanField)) }),
+    ...(addenda !== undefined && {
+      prompt_addenda: JSON.stringify(Object.fromEntries(
+        Object.entries(addenda).map(([id, text]) => [id, text.trim()]).filter(([, text]) => text)
+      ))
+    })
+  };
+}
+
+function hydrate(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    fields: JSON.parse(row.fields || '[]'),
+    prompt_addenda: JSON.parse(row.prompt_addenda || '{}')
+  };
+}
+
+export function getTemplate(id) {
+  return hydrate(db.prepare('SELECT * FROM memo_templates WHERE id = ?').get(id));
+}
+
+/**
+ * Templates a workspace can use: the defaults plus its own
+ */
+export function listTemplates(workspaceId) {
+  return db.prepare(`
+    SELECT * FROM memo_templates
+    WHERE workspace_id IS NULL OR workspace_id = ?
+    ORDER BY created_at, rowid
+  `).all(workspaceId).map(hydrate);
+}
+
+/**
+ * The template of a session's category, or null (e.g. a category whose template was deleted)
+ */
+export function getSessionTemplate(sessionId) {
+  return hydrate(db.prepare(`
+    SELECT t.* FROM memo_templates t JOIN sessions s ON s.category = t.id WHERE s.id = ?
+  `).get(sessionId));
+}
+
+/**
+ * Match the values the Chair entered against the template's fields. Blank
+ * values are dropped and keys the template doesn't define are ignored.
+ *
+ * @param {Object|null} template
+ * @param {Object} values - field key -> value
+ * @returns {Object} - { fields: [{ key, label, value }], problems: { key: message } }
+ */
+export function fillTemplateFields(template, values = {}) {
+  const fields = [];
+  const problems = {};
+
+  for (const field of template?.fields || []) {
+    const raw = values[field.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      problems[field.key] = 'must be text';
+      continue;
+    }
+    const value = String(raw).trim();
+    if (field.type === 'number' && !Number.isFinite(Number(value))) {
+      problems[field.key] = 'must be a number';
+    } else if (field.type === 'select' && !field.options.includes(value)) {
+      problems[field.key] = `must be one of: ${field.options.join(', ')}`;
+    } else {
+      fields.push({ key: field.key, label: field.label, value });
+    }
+  }
+
+  return { fields, problems };
+}
+
+export default {
+  FIELD_TYPES,
+  DEFAULT_TEMPLATES,
+  seedTemplates,
+  templateFieldsProblem,
+  promptAddendaProblem,
+  toTemplateRow,
+  getTemplate,
+  listTemplates,
+  getSessionTemplate,
+  fillTemplateFields
+};
@@ -0,0 +1,200 @@
+/**
+ * Usage & Cost Accounting
+ *
+ * Prices each response from its token breakdown, and tracks spend against the
+ * optional per-session and monthly budgets in config.json:
+ *
+ *   "usage": {
+ *     "pricing": { "gpt-5.2": { "input": 1.75, "output": 14.00 } },  // USD per 1M tokens
+ *     "budgets": { "session_usd": 0.50, "monthly_usd": 20, "on_exceed": "downgrade" }
+ *   }
+ *
+ * Configured prices are merged over DEFAULT_PRICING. Reasoning tokens are billed
+ * as output tokens, and providers already count them in `output`.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import db from '../db/db.js';
+import { REASONING_EFFORTS } from './llm-client.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let usageConfig = {};
+try {
+  const config = JSON.parse(readFileSync(join(__dirname, '../../config/config.json'), 'utf-8'));
+  usageConfig = config.usage || {};
+} catch (error) {
+  // config.json is optional; defaults below apply
+}
+
+// USD per 1M tokens
+export const DEFAULT_PRICING = {
+  'gpt-5.2': { input: 1.75, output: 14.00 },
+  'gpt-5.2-pro': { input: 21.00, output: 168.00 },
+  'claude-sonnet-4-5': { input: 3.00, output: 15.00 },
+  'claude-opus-4-1': { input: 15.00, output: 75.00 },
+  'mock': { input: 0, output: 0 }
+};
+
+export const BUDGET_ACTIONS = ['downgrade', 'refuse'];
+
+// Typical output tokens (including reasoning) per call, used until there is history to go on
+const EXPECTED_OUTPUT_TOKENS = {
+  none: 800,
+  minimal: 1000,
+  low: 1500,
+  medium: 3000,
+  high: 6000,
+  xhigh: 10000
+};
+
+const pricing = { ...DEFAULT_PRICING, ...usageConfig.pricing };
+
+/**
+ * Price for a model, or null if it isn't in the price table (local models, typos)
+ */
+export function priceFor(model) {
+  return pricing[model] || null;
+}
+
+/**
+ * Cost in USD of a call, or null if the model has no price
+ */
+export function computeCost(model, tokens) {
+  const price = priceFor(model);
+  if (!price) return null;
+  return ((tokens.input || 0) * price.input + (tokens.output || 0) * price.output) / 1e6;
+}
+
+/**
+ * Configured budgets; a null limit means unlimited
+ */
+export function getBudgets() {
+  const budgets = usageConfig.budgets || {};
+  return {
+    session_usd: budgets.session_usd ?? null,
+    monthly_usd: budgets.monthly_usd ?? null,
+    on_exceed: BUDGET_ACTIONS.includes(budgets.on_exceed) ? budgets.on_exceed : 'downgrade'
+  };
+}
+
+export function getSessionSpend(sessionId) {
+  return db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM responses WHERE session_id = ?')
+    .get(sessionId).spent;
+}
+
+// This month's spend: server-wide (what the monthly budget caps), or one workspace's
+export function getMonthlySpend(workspaceId = null) {
+  const inWorkspace = workspaceId ? 'AND session_id IN (SELECT id FROM sessions WHERE workspace_id = ?)' : '';
+  return db.prepare(`
+    SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM responses
+    WHERE created_at >= strftime('%Y-%m-01', 'now') ${inWorkspace}
+  `).get(...(workspaceId ? [workspaceId] : [])).spent;
+}
+
+/**
+ * Estimate the cost of one call before making it. Output tokens come from the
+ * persona's past responses at the same effort, falling back to a typical figure.
+ */
+export function estimateCallCost({ personaId, model, reasoningEffort, inputChars }) {
+  const price = priceFor(model);
+  if (!price) return 0;
+
+  const history = db.prepare(`
+    SELECT AVG(output_tokens) AS output FROM responses
+    WHERE persona_id = ? AND model = ? AND reasoning_effort = ? AND output_tokens IS NOT NULL
+      AND cached = 0 AND status = 'ok'
+  `).get(personaId, model, reasoningEffort);
+
+  const input = Math.ceil(inputChars / 4);
+  const output = history?.output || EXPECTED_OUTPUT_TOKENS[reasoningEffort] || EXPECTED_OUTPUT_TOKENS.medium;
+  return (input * price.input + output * price.output) / 1e6;
+}
+
+/**
+ * Lower a reasoning effort to a cap (both from REASONING_EFFORTS)
+ */
+export function capEffort(effort, cap) {
+  if (!cap) return effort;
+  return REASONING_EFFORTS.indexOf(effort) > REASONING_EFFORTS.indexOf(cap) ? cap : effort;
+}
+
+/**
+ * Spend report grouped by day, persona and session
+ *
+ * @param {Object} filters - { from, to } as YYYY-MM-DD dates (inclusive), and workspaceId
+ * @param {boolean} filters.serverSpend - Include the server-wide spend against the monthly budget (admin only)
+ */
+export function getUsageReport({ from, to, workspaceId, serverSpend = false } = {}) {
+  const conditions = [];
+  const params = [];
+  if (workspaceId) {
+    conditions.push('r.session_id IN (SELECT id FROM sessions WHERE workspace_id = ?)');
+    params.push(workspaceId);
+  }
+  if (from) {
+    conditions.push('date(r.created_at) >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('date(r.created_at) <= ?');
+    params.push(to);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const totals = `
+    COUNT(*) AS calls,
+    COALESCE(SUM(r.input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(r.output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(r.reasoning_tokens), 0) AS reasoning_tokens,
+    COALESCE(SUM(r.tokens_used), 0) AS total_tokens,
+    ROUND(COALESCE(SUM(r.cost_usd), 0), 6) AS cost_usd,
+    COALESCE(SUM(r.cached), 0) AS cache_hits
+  `;
+
+  const budgets = getBudgets();
+  const serverMonthSpent = serverSpend ? getMonthlySpend() : null;
+
+  return {
+    totals: db.prepare(`SELECT ${totals} FROM responses r ${where}`).get(...params),
+    by_day: db.prepare(`
+      SELECT date(r.created_at) AS day, ${totals}
+      FROM responses r ${where}
+      GROUP BY day ORDER BY day DESC
+    `).all(...params),
+    by_persona: db.prepare(`
+      SELECT r.persona_id, p.name, ${totals}
+      FROM responses r LEFT JOIN personas p ON p.id = r.persona_id ${where}
+      GROUP BY r.persona_id ORDER BY cost_usd DESC
+    `).all(...params),
+    by_session: db.prepare(`
+      SELECT r.session_id, m.decision_required, MIN(r.created_at) AS started_at, ${totals}
+      FROM responses r LEFT JOIN memos m ON m.session_id = r.session_id ${where}
+      GROUP BY r.session_id ORDER BY started_at DESC
+    `).all(...params),
+    budgets: {
+      ...budgets,
+      month_spent_usd: getMonthlySpend(workspaceId),
+      // Other workspaces' spend is only shown to the admin
+      ...(serverSpend && {
+        server_month_spent_usd: serverMonthSpent,
+        month_remaining_usd: budgets.monthly_usd === null ? null : Math.max(budgets.monthly_usd - serverMonthSpent, 0)
+      })
+    }
+  };
+}
+
+export default {
+  DEFAULT_PRICING,
+  BUDGET_ACTIONS,
+  priceFor,
+  computeCost,
+  getBudgets,
+  getSessionSpend,
+  getMonthlySpend,
+  estimateCallCost,
+  capEffort,
+  getUsageReport
+};
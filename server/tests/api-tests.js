@@ -0,0 +1,285 @@
+/**
+ * API tests: board meetings and routes, end to end through the HTTP API.
+ *
+ * Starts the server on a spare port with the mock LLM provider and a throwaway
+ * database, attachments and snapshots directory, signs up (the first account is
+ * the admin) and drives the API the way the frontend does.
+ *
+ * Usage: npm run test:api
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { spawn } from 'child_process';
+import { cpSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(__dirname, '../index.js');
+
+// A port nothing is listening on
+function sparePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'board-api-tests-'));
+// The mock provider's canned replies, copied so a test can make a persona fail
+const fixturesDir = path.join(dataDir, 'fixtures');
+cpSync(path.join(__dirname, '../fixtures/llm'), fixturesDir, { recursive: true });
+const port = await sparePort();
+const BASE = `http://localhost:${port}/api`;
+
+const env = {
+  ...process.env,
+  PORT: String(port),
+  DB_PATH: path.join(dataDir, 'board.db'),
+  ATTACHMENTS_PATH: path.join(dataDir, 'attachments'),
+  SNAPSHOTS_PATH: path.join(dataDir, 'snapshots'),
+  LLM_PROVIDER: 'mock',
+  LLM_MOCK_FIXTURES: fixturesDir
+};
+
+let log = '';
+const server = spawn(process.execPath, [SERVER], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+server.stdout.on('data', (chunk) => { log += chunk; });
+server.stderr.on('data', (chunk) => { log += chunk; });
+
+function stop() {
+  server.kill();
+  rmSync(dataDir, { recursive: true, force: true });
+}
+
+let cookie = '';
+
+/**
+ * Call the API as the signed-in account
+ *
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function api(method, url, body) {
+  const form = body instanceof FormData;
+  const res = await fetch(`${BASE}${url}`, {
+    method,
+    headers: {
+      ...(cookie && { Cookie: cookie }),
+      ...(body !== undefined && !form && { 'Content-Type': 'application/json' })
+    },
+    body: body === undefined ? undefined : form ? body : JSON.stringify(body)
+  });
+  const setCookie = res.headers.get('set-cookie');
+  if (setCookie) cookie = setCookie.split(';')[0];
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (server.exitCode !== null) throw new Error(`Server exited:\n${log}`);
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error(`Server did not start:\n${log}`);
+}
+
+// Wait for a session's board meeting to stop running
+async function waitForMeeting(sessionId) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const { body } = await api('GET', `/sessions/${sessionId}`);
+    if (body.session.status !== 'running') return body;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error(`Meeting on ${sessionId} did not finish`);
+}
+
+// A session with a saved memo
+async function createSession(memo = { decision_required: 'Should we ship it?' }) {
+  const { body: session } = await api('POST', '/sessions', {});
+  await api('POST', `/sessions/${session.id}/memo`, memo);
+  return session.id;
+}
+
+async function runMeeting(sessionId) {
+  const { status, body } = await api('POST', `/sessions/${sessionId}/run`, { proceed_with_gaps: true });
+  assert.equal(status, 202, JSON.stringify(body));
+  return waitForMeeting(sessionId);
+}
+
+// A multipart body with one text file
+function attachmentForm(name, text) {
+  const form = new FormData();
+  form.append('files', new Blob([text], { type: 'text/plain' }), name);
+  return form;
+}
+
+// Mark a session as if the board were meeting on it, without waiting on a real meeting
+function setSessionStatus(sessionId, status) {
+  const db = new Database(env.DB_PATH);
+  try {
+    db.prepare('UPDATE sessions SET status = ? WHERE id = ?').run(status, sessionId);
+  } finally {
+    db.close();
+  }
+}
+
+async function signIn(username) {
+  cookie = '';
+  const { status } = await api('POST', '/auth/login', { username, password: 'password1' });
+  assert.equal(status, 200);
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`  ✗ ${name}\n    ${error.message}`);
+  }
+}
+
+try {
+  await waitForServer();
+  await api('POST', '/auth/register', { username: 'chair', password: 'password1' });
+
+  console.log('Board meetings');
+
+  await test('a custom persona without a schema answers as a board member', async () => {
+    const created = await api('POST', '/personas', {
+      id: 'legal-counsel', name: 'Legal Counsel', role: 'General Counsel',
+      system_prompt: 'You review decisions for legal exposure.', output_schema: null
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.output_schema, null);
+
+    const sessionId = await createSession();
+    const { session, responses } = await runMeeting(sessionId);
+    assert.equal(session.status, 'complete');
+
+    const counsel = responses.find(r => r.persona_id === 'legal-counsel');
+    assert.equal(counsel.status, 'ok');
+    assert.ok(counsel.position, 'the reply has a position');
+    const output = JSON.parse(counsel.structured_output);
+    assert.ok(output.top_reasons.length && output.top_risks.length, 'the reply has reasons and risks');
+
+    await api('PATCH', '/personas/legal-counsel', { is_active: false });
+  });
+
+  console.log('Attachments');
+
+  await test('the memo and its attachments can\'t change while the board meets on it', async () => {
+    const sessionId = await createSession();
+    const uploaded = await api('POST', `/sessions/${sessionId}/attachments`, attachmentForm('notes.txt', 'Q3 numbers'));
+    assert.equal(uploaded.status, 201, JSON.stringify(uploaded.body));
+
+    setSessionStatus(sessionId, 'running');
+    const upload = await api('POST', `/sessions/${sessionId}/attachments`, attachmentForm('more.txt', 'Q4 numbers'));
+    assert.equal(upload.status, 409);
+    const removal = await api('DELETE', `/sessions/${sessionId}/attachments/${uploaded.body[0].id}`);
+    assert.equal(removal.status, 409);
+    const edit = await api('POST', `/sessions/${sessionId}/memo`, { decision_required: 'Should we wait?' });
+    assert.equal(edit.status, 409);
+
+    setSessionStatus(sessionId, 'draft');
+    const { body } = await api('GET', `/sessions/${sessionId}`);
+    assert.equal(JSON.parse(body.memo.attachments).length, 1);
+  });
+
+  await test('attachments can\'t change once the decision is final', async () => {
+    const sessionId = await createSession();
+    const uploaded = await api('POST', `/sessions/${sessionId}/attachments`, attachmentForm('notes.txt', 'Q3 numbers'));
+    await runMeeting(sessionId);
+    const decided = await api('POST', `/sessions/${sessionId}/decision`, { decision_statement: 'Ship it' });
+    assert.equal(decided.status, 201, JSON.stringify(decided.body));
+
+    const upload = await api('POST', `/sessions/${sessionId}/attachments`, attachmentForm('more.txt', 'Q4 numbers'));
+    assert.equal(upload.status, 409);
+    const removal = await api('DELETE', `/sessions/${sessionId}/attachments/${uploaded.body[0].id}`);
+    assert.equal(removal.status, 409);
+  });
+
+  console.log('Resuming');
+
+  await test('a resumed meeting keeps the precedents its board was shown, even none', async () => {
+    const memo = { decision_required: 'Should we migrate the billing database to Postgres this quarter?' };
+    const sessionId = await createSession(memo);
+    const strategistFixture = path.join(fixturesDir, 'strategist.json');
+    writeFileSync(strategistFixture, JSON.stringify({ error: { status: 400, message: 'Strategist unavailable' } }));
+    try {
+      assert.equal((await runMeeting(sessionId)).session.status, 'failed');
+    } finally {
+      cpSync(path.join(__dirname, '../fixtures/llm/strategist.json'), strategistFixture);
+    }
+
+    // A decision on the same question, taken after the first attempt looked for precedents
+    const earlier = await createSession(memo);
+    await runMeeting(earlier);
+    await api('POST', `/sessions/${earlier}/decision`, { decision_statement: 'Migrate billing to Postgres' });
+
+    const resumed = await api('POST', `/sessions/${sessionId}/resume`, {});
+    assert.equal(resumed.status, 202, JSON.stringify(resumed.body));
+    const { session, precedents } = await waitForMeeting(sessionId);
+    assert.equal(session.status, 'complete');
+    assert.deepEqual(precedents, []);
+
+    const { precedents: fresh } = await runMeeting(await createSession(memo));
+    assert.ok(fresh.length, 'a new meeting finds the decision');
+  });
+
+  console.log('Exports');
+
+  await test('the Markdown export shows markup in the memo as text', async () => {
+    const sessionId = await createSession({
+      decision_required: 'Ship <img src=x onerror=alert(1)>?',
+      context: ['Customers asked for <script>alert(1)</script> support']
+    });
+    await runMeeting(sessionId);
+
+    const res = await fetch(`${BASE}/sessions/${sessionId}/export?format=md`, { headers: { Cookie: cookie } });
+    assert.equal(res.status, 200);
+    const markdown = await res.text();
+    assert.ok(!/<img|<script/.test(markdown), 'no raw HTML');
+    assert.ok(markdown.includes('Ship &lt;img src=x onerror=alert(1)&gt;?'));
+    assert.ok(markdown.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  });
+
+  console.log('Personas');
+
+  await test('switching a default persona off changes only the current workspace\'s board', async () => {
+    await api('POST', '/auth/register', { username: 'member', password: 'password1' });
+    const edit = await api('PATCH', '/personas/contrarian', { name: 'Devil\'s Advocate' });
+    assert.equal(edit.status, 403, 'only the admin edits a default persona');
+    const off = await api('PATCH', '/personas/contrarian', { is_active: false });
+    assert.equal(off.status, 200, JSON.stringify(off.body));
+
+    const { responses } = await runMeeting(await createSession());
+    assert.ok(!responses.some(r => r.persona_id === 'contrarian'), 'the Contrarian sat out');
+    const { body: board } = await api('GET', '/personas?all=true');
+    assert.equal(board.find(p => p.id === 'contrarian').is_active, 0);
+
+    await signIn('chair');
+    const { body: chairBoard } = await api('GET', '/personas');
+    assert.ok(chairBoard.some(p => p.id === 'contrarian'), 'still on the chair\'s board');
+    const { responses: chairResponses } = await runMeeting(await createSession());
+    assert.ok(chairResponses.some(r => r.persona_id === 'contrarian'), 'the Contrarian answered the chair');
+  });
+} finally {
+  stop();
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,312 @@
+/**
+ * Prompt regression tests
+ *
+ * Runs every prompt in server/prompts/ against the sample memos in
+ * server/tests/memos/ through the board meeting's own phases (Secretary
+ * briefing, one board round, Strategist synthesis; see deliberate in the
+ * orchestrator) and checks each reply: valid JSON, the
+ * persona's output schema, and invariants such as "the Contrarian gives a
+ * counter-proposal".
+ *
+ * Replies are replayed from server/tests/recordings/<memo>/<persona>.json, so the
+ * tests run offline and cost nothing. A recording made for a different prompt
+ * or input is stale and fails: after editing a prompt, re-record and review the
+ * diff of the recordings before the prompt meets a real decision.
+ *
+ * Where no real recording exists, the reply comes from server/tests/placeholders/,
+ * recorded with the mock provider. Placeholders are the same canned reply for
+ * every memo: they check the harness and the schemas, not the prompts, so a
+ * placeholder that holds up is reported as MOCK, never PASS.
+ *
+ * Usage:
+ *   npm run test:prompts
+ *   npm run test:prompts -- --record                      (calls the configured LLM provider)
+ *   LLM_PROVIDER=mock npm run test:prompts -- --record    (refreshes the placeholders)
+ *   npm run test:prompts -- --record --persona contrarian --memo pricing-change
+ *
+ * --persona and --memo take a comma-separated list and also narrow a replay.
+ */
+
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import 'dotenv/config';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROMPTS_DIR = join(__dirname, '../prompts');
+const MEMOS_DIR = join(__dirname, 'memos');
+const RECORDINGS_DIR = join(__dirname, 'recordings');
+const PLACEHOLDERS_DIR = join(__dirname, 'placeholders');
+
+// The LLM client's reply cache lives in the database; keep these runs out of the real one
+process.env.DB_PATH = ':memory:';
+const { LLMClient } = await import('../services/llm-client.js');
+const { DEFAULT_PERSONAS, SECRETARY_ID, STRATEGIST_ID } = await import('../services/personas.js');
+const { SCHEMAS, validateOutput } = await import('../services/schemas.js');
+const { formatMemoForPrompt } = await import('../services/prompt-inputs.js');
+const { deliberate, forCategory } = await import('../services/orchestrator.js');
+const { DEFAULT_TEMPLATES } = await import('../services/templates.js');
+
+function parseArgs(argv) {
+  const list = (flag) => {
+    const i = argv.indexOf(flag);
+    return i === -1 ? null : (argv[i + 1] || '').split(',').filter(Boolean);
+  };
+  return { record: argv.includes('--record'), personas: list('--persona'), memos: list('--memo') };
+}
+
+// Something was actually said: a non-blank string or a non-empty list
+const filled = (value) => Array.isArray(value)
+  ? value.length > 0
+  : typeof value === 'string' ? value.trim().length > 0 : value !== null && value !== undefined;
+
+const BOARD_MEMBER_INVARIANTS = [
+  ['states a position', o => filled(o.position)],
+  ['gives reasons', o => filled(o.top_reasons)],
+  ['names risks', o => filled(o.top_risks)],
+  ['sets 30- and 90-day metrics', o => filled(o.validation_metrics?.['30_day']) && filled(o.validation_metrics?.['90_day'])]
+];
+
+// What each persona's reply must do beyond matching its schema; prompts without an entry are board members
+const INVARIANTS = {
+  secretary: [
+    ['restates the core question', o => filled(o.normalized_memo?.core_question)],
+    ['extracts assumptions', o => filled(o.extracted_assumptions)],
+    ['says what is missing when not ready', o => o.briefing_ready !== false || filled(o.missing_information)]
+  ],
+  operator: [
+    ...BOARD_MEMBER_INVARIANTS,
+    ['sequences the execution', o => filled(o.execution_sequence)],
+    ['numbers the steps in order', o => (o.execution_sequence || []).every((s, i) => s.step === i + 1)],
+    ['plans the next 7 days', o => filled(o.next_7_days)]
+  ],
+  finance: [
+    ...BOARD_MEMBER_INVARIANTS,
+    ['states the downside exposure', o => filled(o.financial_analysis?.downside_exposure)],
+    ['sets proceed and stop thresholds', o => filled(o.thresholds?.proceed_if) && filled(o.thresholds?.stop_if)]
+  ],
+  'craft-expert': [
+    ...BOARD_MEMBER_INVARIANTS,
+    ['names common pitfalls', o => filled(o.craft_assessment?.common_pitfalls_present)],
+    ['offers a sharper framing', o => filled(o.sharper_framing)]
+  ],
+  contrarian: [
+    ...BOARD_MEMBER_INVARIANTS,
+    ['names the most likely failure mode', o => filled(o.pre_mortem?.most_likely_failure_mode)],
+    ['gives a counter-proposal', o => filled(o.counter_proposal?.alternative) && filled(o.counter_proposal?.rationale)]
+  ],
+  strategist: [
+    ['makes a decision', o => filled(o.integrated_recommendation?.decision)],
+    ['explains the rationale', o => filled(o.integrated_recommendation?.rationale)],
+    ['lists next actions with owners and timeframes', o => filled(o.next_actions) &&
+      o.next_actions.every(a => filled(a.action) && filled(a.owner) && filled(a.timeframe))],
+    ['names an assumption to test', o => filled(o.assumption_to_test)],
+    ['writes a decision statement', o => filled(o.decision_statement)]
+  ]
+};
+
+// The one line of a reply worth watching in the results diff
+const HEADLINES = {
+  secretary: o => o.normalized_memo?.core_question,
+  strategist: o => o.integrated_recommendation?.decision
+};
+
+/**
+ * Every prompt file as a persona, shaped like a personas row, in meeting order:
+ * the Secretary, the default board, any other prompts (as generic board
+ * members), then the Strategist
+ */
+function loadPersonas() {
+  const files = readdirSync(PROMPTS_DIR).filter(f => f.endsWith('.txt')).sort();
+  const known = new Map(DEFAULT_PERSONAS.map(p => [p.file, p]));
+  const personas = files.map(file => {
+    const persona = known.get(file);
+    return {
+      id: persona?.id || basename(file, '.txt'),
+      name: persona?.name || basename(file, '.txt'),
+      system_prompt: readFileSync(join(PROMPTS_DIR, file), 'utf-8'),
+      output_schema: persona?.schema || SCHEMAS.board_member
+    };
+  });
+  const rank = (p) => p.id === SECRETARY_ID ? -1 : p.id === STRATEGIST_ID ? Infinity
+    : DEFAULT_PERSONAS.findIndex(d => d.id === p.id) + 1 || DEFAULT_PERSONAS.length + 1;
+  return personas.sort((a, b) => rank(a) - rank(b));
+}
+
+function loadMemos() {
+  return readdirSync(MEMOS_DIR).filter(f => f.endsWith('.json')).sort().map(file => ({
+    id: basename(file, '.json'),
+    memo: {
+      context: [],
+      options: [],
+      constraints: {},
+      success_metrics: [],
+      questions_for_board: [],
+      attachments: [],
+      template_fields: [],
+      ...JSON.parse(readFileSync(join(MEMOS_DIR, file), 'utf-8'))
+    }
+  }));
+}
+
+// A recording is only good for the exact prompt, input and schema it answered
+function promptHash(instructions, input, schema) {
+  return createHash('sha256').update(JSON.stringify([instructions, input, schema])).digest('hex');
+}
+
+function recordingPath(dir, memoId, personaId) {
+  return join(dir, memoId, `${personaId}.json`);
+}
+
+/**
+ * Get a persona's reply for one memo: recorded now, or replayed from its
+ * recording (a mock placeholder if no real provider has answered yet)
+ *
+ * @returns {Promise<Object>} - { raw, stale, placeholder, missing, error }
+ */
+async function reply(client, { memoId, persona, input, jsonSchema, verbosity, record }) {
+  const hash = promptHash(persona.system_prompt, input, jsonSchema);
+
+  if (record) {
+    try {
+      // No repairs: the test is whether the prompt gets a valid reply on its own
+      const result = await client.completeWithRetry(persona.system_prompt, input, {
+        jsonSchema,
+        personaId: persona.id,
+        verbosity
+      });
+      const placeholder = result.provider === 'mock';
+      const path = recordingPath(placeholder ? PLACEHOLDERS_DIR : RECORDINGS_DIR, memoId, persona.id);
+      mkdirSync(dirname(path), { recursive: true });
+      const recording = { prompt_hash: hash, provider: result.provider, model: result.model, raw: result.raw };
+      writeFileSync(path, `${JSON.stringify(recording, null, 2)}\n`);
+      return { raw: result.raw, stale: false, placeholder };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  const path = [RECORDINGS_DIR, PLACEHOLDERS_DIR].map(dir => recordingPath(dir, memoId, persona.id)).find(existsSync);
+  if (!path) return { missing: true };
+  const recording = JSON.parse(readFileSync(path, 'utf-8'));
+  return { raw: recording.raw, stale: recording.prompt_hash !== hash, placeholder: recording.provider === 'mock' };
+}
+
+/**
+ * Check one reply against the schema it was asked for
+ *
+ * @returns {Object} - { status: 'PASS' | 'MOCK' | 'FAIL' | 'STALE' | 'MISSING', parsed, problems, placeholder }
+ */
+function check(client, persona, jsonSchema, answer) {
+  if (answer.missing) return { status: 'MISSING', parsed: null, problems: ['no recording; run with --record'] };
+  if (answer.error) return { status: 'FAIL', parsed: null, problems: [`call failed: ${answer.error}`] };
+
+  const parsed = client.parseJson(answer.raw);
+  if (!parsed) return { status: 'FAIL', parsed: null, problems: ['reply is not valid JSON'] };
+
+  const problems = [
+    ...validateOutput(parsed, jsonSchema).map(p => `schema: ${p}`),
+    ...(INVARIANTS[persona.id] || BOARD_MEMBER_INVARIANTS)
+      .filter(([, holds]) => {
+        try {
+          return !holds(parsed);
+        } catch {
+          return true;
+        }
+      })
+      .map(([name]) => `does not: ${name}`)
+  ];
+  if (answer.stale) problems.push('recorded for an older prompt or input; re-record with --record');
+
+  const status = problems.length ? (answer.stale && problems.length === 1 ? 'STALE' : 'FAIL')
+    : answer.placeholder ? 'MOCK' : 'PASS';
+  return { status, parsed, problems, placeholder: Boolean(answer.placeholder) };
+}
+
+function headline(persona, parsed) {
+  if (!parsed) return '';
+  const text = (HEADLINES[persona.id] || (o => o.position))(parsed) || '';
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  const confidence = parsed.confidence ? `(${parsed.confidence}) ` : '';
+  return `${confidence}${line.length > 100 ? `${line.slice(0, 99)}…` : line}`;
+}
+
+/**
+ * Run one memo through the meeting's phases. Later phases read the earlier
+ * replies, so a briefing or board reply that fails leaves them with what a
+ * meeting would: the bare memo, or the members who did answer. A memo with a
+ * category gets its default template's prompt addenda.
+ */
+async function runMemo(client, { id: memoId, memo }, personas, options) {
+  const selected = (persona) => !options.personas || options.personas.includes(persona.id);
+  const briefed = forCategory(DEFAULT_TEMPLATES.find(t => t.id === memo.category));
+  const board = personas.map(briefed);
+  const results = [];
+
+  await deliberate({
+    memoText: formatMemoForPrompt(memo),
+    secretary: board.find(p => p.id === SECRETARY_ID) || null,
+    members: board.filter(p => p.id !== SECRETARY_ID && p.id !== STRATEGIST_ID),
+    strategist: board.find(p => p.id === STRATEGIST_ID)
+  }, {
+    ask: async (persona, { input, jsonSchema, verbosity }) => {
+      const answer = await reply(client, { memoId, persona, input, jsonSchema, verbosity, record: options.record && selected(persona) });
+      const result = { memoId, persona, ...check(client, persona, jsonSchema, answer) };
+      if (selected(persona)) results.push(result);
+      return result.parsed ? { parsed: result.parsed } : { error: result.problems[0] };
+    }
+  });
+
+  // Board members answer in parallel; report them in meeting order
+  const rank = (result) => personas.findIndex(p => p.id === result.persona.id);
+  return results.sort((x, y) => rank(x) - rank(y));
+}
+
+// One line per memo and persona, plus its problems
+function formatResults(results) {
+  const width = Math.max(...results.map(r => `${r.memoId} / ${r.persona.id}`.length));
+  return results.map(r => {
+    const label = `${r.memoId} / ${r.persona.id}`.padEnd(width);
+    return [
+      `${label}  ${r.status.padEnd(7)}  ${headline(r.persona, r.parsed)}`.trimEnd(),
+      ...r.problems.map(p => `${' '.repeat(width)}    - ${p}`)
+    ].join('\n');
+  }).join('\n');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const personas = loadPersonas();
+  const memos = loadMemos().filter(m => !options.memos || options.memos.includes(m.id));
+  assert.ok(memos.length > 0, `No sample memos${options.memos ? ` named ${options.memos.join(', ')}` : ''} in ${MEMOS_DIR}`);
+
+  const client = new LLMClient({ cache: null });
+  if (options.record) console.log(`Recording with ${client.providerName} (${client.getModel()})...\n`);
+
+  const results = [];
+  for (const memo of memos) {
+    results.push(...await runMemo(client, memo, personas, options));
+  }
+
+  console.log(formatResults(results));
+
+  const counts = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  console.log(`\n${Object.entries(counts).map(([status, n]) => `${n} ${status.toLowerCase()}`).join(', ')}`);
+  // A placeholder only shows the harness and schemas work; don't let it pass for a tested prompt
+  const placeholders = results.filter(r => r.placeholder).length;
+  if (placeholders === results.length) {
+    console.log('No recordings: every reply is a mock placeholder, so this is not a regression check of the prompts. ' +
+      'Record with a real provider (--record) to test them.');
+  } else if (placeholders) {
+    console.log(`${placeholders} of ${results.length} replies are mock placeholders (MOCK), not a regression check of those prompts; ` +
+      'record them with a real provider to test them');
+  }
+  process.exit(results.every(r => ['PASS', 'MOCK'].includes(r.status)) ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
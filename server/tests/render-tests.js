@@ -0,0 +1,150 @@
+/**
+ * Rendering tests: script injection in memo fields and board output must come
+ * out of the frontend's render helpers as inert text.
+ *
+ * Loads frontend/js/render.js and tags.js the way the browser does (plain
+ * scripts sharing one global scope) and checks the HTML they produce.
+ *
+ * Usage: npm run test:render
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FRONTEND_JS = path.join(__dirname, '../../frontend/js');
+
+const context = vm.createContext({});
+for (const file of ['render.js', 'tags.js']) {
+  vm.runInContext(fs.readFileSync(path.join(FRONTEND_JS, file), 'utf-8'), context, { filename: file });
+}
+const { escapeHtml, renderInline, renderMarkdown, renderList, renderValue, renderHighlighted, renderTagChips } = context;
+
+// Tags and attributes the render helpers are allowed to emit
+const ALLOWED_TAGS = ['p', 'br', 'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'a', 'mark',
+  'h4', 'h5', 'h6', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span', 'button'];
+const ALLOWED_ATTRIBUTES = ['class', 'href', 'target', 'rel', 'type', 'data-tag', 'onclick'];
+
+/**
+ * Fail if html holds any tag, attribute or URL the helpers never produce on
+ * purpose; that is what injected markup would look like once parsed.
+ */
+function assertInert(html) {
+  for (const [, name, attributes] of html.matchAll(/<\/?([a-zA-Z][\w-]*)([^>]*)>/g)) {
+    assert.ok(ALLOWED_TAGS.includes(name.toLowerCase()), `unexpected <${name}> in ${html}`);
+    for (const [, attribute, value] of attributes.matchAll(/([^\s=]+)(?:="([^"]*)")?/g)) {
+      assert.ok(ALLOWED_ATTRIBUTES.includes(attribute.toLowerCase()), `unexpected ${attribute}= in ${html}`);
+      if (attribute === 'href') assert.match(value, /^https?:\/\//, `unsafe link in ${html}`);
+      if (attribute === 'onclick') assert.equal(value, 'filterByTag(this.dataset.tag)', `unexpected handler in ${html}`);
+    }
+  }
+}
+
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror="alert(1)">',
+  '<svg/onload=alert(1)>',
+  '"><iframe src="javascript:alert(1)"></iframe>',
+  "'); alert(1); //",
+  '<a href="javascript:alert(1)">click</a>',
+  '[click](javascript:alert(1))',
+  '[click](https://example.com" onmouseover="alert(1))',
+  '**<b onclick=alert(1)>bold</b>**',
+  '`<script>alert(1)</script>`',
+  '</textarea><script>alert(1)</script>',
+  '<mark onmouseover=alert(1)>x</mark>'
+];
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`  ✗ ${name}\n    ${error.message}`);
+  }
+}
+
+console.log('Escaping');
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(3), '3');
+});
+
+test('a quoted attribute cannot be broken out of', () => {
+  const html = `<input data-question="${escapeHtml('"><script>alert(1)</script>')}">`;
+  assert.equal(html.match(/"/g).length, 2);
+  assert.ok(!html.includes('<script'));
+});
+
+console.log('Memo fields and model output');
+
+for (const payload of PAYLOADS) {
+  test(`neutralizes ${payload}`, () => {
+    assertInert(renderInline(payload));
+    assertInert(renderMarkdown(payload));
+    assertInert(renderMarkdown(`- ${payload}\n- second`));
+    assertInert(renderMarkdown(`| a | b |\n| --- | --- |\n| ${payload} | x |`));
+    assertInert(renderMarkdown(`\`\`\`\n${payload}\n\`\`\``));
+    assertInert(renderList([payload]));
+    assertInert(renderValue({ [payload]: [payload, { nested: payload }] }));
+    assertInert(renderHighlighted(`before <mark>${payload}</mark> after`));
+    assertInert(renderTagChips([payload], 'filterByTag'));
+    assertInert(renderTagChips([payload]));
+  });
+}
+
+test('script text survives as visible text', () => {
+  assert.equal(renderInline('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('tag chip passes the tag through a data attribute, not the handler', () => {
+  const html = renderTagChips(["x'); alert(1); //"], 'filterByTag');
+  assert.ok(html.includes('onclick="filterByTag(this.dataset.tag)"'));
+  assert.ok(html.includes('data-tag="x&#39;); alert(1); //"'));
+});
+
+console.log('Markdown subset');
+
+test('emphasis, code and links', () => {
+  assert.equal(renderInline('**bold** and *em* and `a < b`'), '<strong>bold</strong> and <em>em</em> and <code>a &lt; b</code>');
+  assert.equal(renderInline('[docs](https://example.com/a?b=1&c=2)'),
+    '<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">docs</a>');
+  assert.equal(renderInline('[bad](javascript:alert(1))'), '[bad](javascript:alert(1))');
+  assert.equal(renderInline('snake_case_name and 2*3*4'), 'snake_case_name and 2*3*4');
+});
+
+test('lists', () => {
+  assert.equal(renderMarkdown('- one\n- **two**'), '<ul><li>one</li><li><strong>two</strong></li></ul>');
+  assert.equal(renderMarkdown('1. first\n2. second'), '<ol><li>first</li><li>second</li></ol>');
+});
+
+test('tables', () => {
+  assert.equal(renderMarkdown('| Option | Cost |\n|---|---:|\n| A | $5 |'),
+    '<table class="md-table"><thead><tr><th>Option</th><th>Cost</th></tr></thead><tbody><tr><td>A</td><td>$5</td></tr></tbody></table>');
+});
+
+test('fenced code is kept verbatim', () => {
+  assert.equal(renderMarkdown('```\n**not bold**\n```'), '<pre><code>**not bold**</code></pre>');
+});
+
+test('paragraphs and line breaks', () => {
+  assert.equal(renderMarkdown('one\ntwo\n\nthree'), '<p>one<br>two</p><p>three</p>');
+});
+
+test('search snippets keep only the highlight', () => {
+  assert.equal(renderHighlighted('a <mark>b</mark> <i>c</i>'), 'a <mark>b</mark> &lt;i&gt;c&lt;/i&gt;');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);